@@ -1,8 +1,9 @@
 import * as THREE from 'three';
+import * as fflate from 'three/addons/libs/fflate.module.js';
 
 /**
  * FBX Exporter for Three.js
- * Binary Export (Version 7500)
+ * Binary and ASCII Export (Versions 7400, 7500 and 7700)
  *
  * References:
  * - FBX 7500 Binary Format Specifications
@@ -10,10 +11,23 @@ import * as THREE from 'three';
  */
 
 const FBX_VERSION = 7500;
+// Per target version: byte width of node record offsets (32-bit before 7500) and the Version children of Model, Geometry and Material
+const FBX_VERSIONS = {
+	7400: { offsetSize: 4, model: 232, geometry: 124, material: 102 },
+	7500: { offsetSize: 8, model: 232, geometry: 124, material: 102 },
+	7700: { offsetSize: 8, model: 232, geometry: 124, material: 102 }
+};
 const KTIME_ONE_SEC = 46186158000n;
+// KeyAttrFlags bits: interpolation in bits 1-3, tangent mode from bit 10
+const KEY_INTERPOLATION_CONSTANT = 0x2, KEY_INTERPOLATION_LINEAR = 0x4, KEY_INTERPOLATION_CUBIC = 0x8, KEY_TANGENT_USER = 0x400, KEY_TANGENT_BREAK = 0x800;
+// Default tangent weights (1/3 on both sides) as the FBX SDK packs them: two 16-bit fixed-point weights (0x0D05 = 3333 / 10000),
+// stored bit for bit in the third float of each KeyAttrDataFloat entry
+const KEY_DEFAULT_WEIGHTS = new Float32Array( new Uint32Array( [ 0x0D050D05 ] ).buffer )[ 0 ];
 const MAGIC_HEADER = 'Kaydara FBX Binary  \x00';
 const _FILE_ID = new Uint8Array( [ 0x28, 0xb3, 0x2a, 0xeb, 0xb6, 0x24, 0xcc, 0xc2, 0xbf, 0xc8, 0xb0, 0x2a, 0xa9, 0x2b, 0xfc, 0xf1 ] );
+// Blender writes this fixed CreationTime with the FileId and footer ID below; the real export time goes in CreationTimeStamp and SceneInfo
 const _TIME_ID = '1970-01-01 10:00:00:000';
+const DEFAULT_CREATOR = 'Three.js FBX Exporter';
 
 class Double { constructor( value ) { this.value = value; } }
 class Float { constructor( value ) { this.value = value; } }
@@ -45,10 +59,64 @@ function createP( name, type, subtype, flags, values ) {
 	return p;
 }
 
-let idCounter = 1000000n;
-function generateId() { return idCounter++; }
+// IDs stay below 2^53 so importers that read them as JavaScript numbers keep them distinct
+const ID_BASE = 1000000n, ID_LIMIT = 2n ** 53n;
+const ID_MODES = [ 'sequential', 'uuid' ];
+
+function hashKey( key ) {
+	// 64-bit FNV-1a
+	let hash = 0xcbf29ce484222325n;
+	for ( let i = 0; i < key.length; i ++ ) hash = BigInt.asUintN( 64, ( hash ^ BigInt( key.charCodeAt( i ) ) ) * 0x100000001b3n );
+	return hash;
+}
+
+function createIdAllocator( mode = 'sequential' ) {
+	// One allocator per export. 'sequential' numbers objects in the order they are created; 'uuid' hashes the key (the
+	// object's uuid and its role) so an object keeps its ID when others are added or removed. Collisions move to the next free ID.
+	const used = new Set();
+	let next = ID_BASE;
+	return ( ...key ) => {
+		let id = mode === 'uuid' ? ID_BASE + hashKey( key.join( '/' ) ) % ( ID_LIMIT - ID_BASE ) : next;
+		while ( used.has( id ) ) id ++;
+		used.add( id );
+		next = id + 1n;
+		return id;
+	};
+}
+
 function nameWithClass( name, fbxClass ) { return `${name}\x00\x01${fbxClass}`; }
 
+function createUserProperty( name, value ) {
+	// User-defined properties carry the U flag; types follow the FBX SDK names importers map to custom properties
+	if ( typeof value === 'boolean' ) return createP( name, 'bool', '', 'A+U', value ? 1 : 0 );
+	if ( typeof value === 'number' && Number.isFinite( value ) ) {
+		if ( Number.isInteger( value ) && value >= - 2147483648 && value <= 2147483647 ) return createP( name, 'int', 'Integer', 'A+U', new Int32( value ) );
+		return createP( name, 'double', 'Number', 'A+U', new Double( value ) );
+	}
+	if ( typeof value === 'string' ) return createP( name, 'KString', '', 'U', value );
+	if ( value?.isColor ) {
+		const srgb = new THREE.Color( value.r, value.g, value.b ).convertLinearToSRGB();
+		return createP( name, 'ColorRGB', 'Color', 'A+U', [ new Double( srgb.r ), new Double( srgb.g ), new Double( srgb.b ) ] );
+	}
+	const array = value?.isVector2 || value?.isVector3 || value?.isVector4 ? value.toArray() : value;
+	if ( ! Array.isArray( array ) || ! array.every( v => typeof v === 'number' && Number.isFinite( v ) ) ) return null;
+	const type = { 2: [ 'Vector2D', 'Vector2' ], 3: [ 'Vector3D', 'Vector' ], 4: [ 'Vector4D', 'Vector4' ] }[ array.length ];
+	return type ? createP( name, type[ 0 ], type[ 1 ], 'A+U', array.map( v => new Double( v ) ) ) : null;
+}
+
+function addUserProperties( p70, source, filter ) {
+	// filter( key, value, source ) returns the value to write, or undefined to skip the key. Keys that clash with the
+	// exporter's own properties, userData.export and values that have no FBX type are skipped
+	const written = new Set( p70.children.map( p => p.properties[ 0 ] ) );
+	for ( const [ key, userValue ] of Object.entries( source.userData || {} ) ) {
+		if ( key === 'export' || written.has( key ) ) continue;
+		const value = typeof filter === 'function' ? filter( key, userValue, source ) : userValue;
+		const p = value === undefined ? null : createUserProperty( key, value );
+		if ( p ) { p70.addChild( p ); written.add( key ); }
+	}
+	return p70;
+}
+
 function normalizeMixamoName( name ) {
 	if ( ! name ) return name;
 	if ( /^mixamorig:/i.test( name ) ) return name;
@@ -62,58 +130,651 @@ function getRotationOrder( order ) {
 	return { 'XYZ': 5, 'YXZ': 4, 'ZXY': 3, 'XZY': 2, 'YZX': 1, 'ZYX': 0 }[ order ] || 0;
 }
 
-function getDataFromImage( image, maxTextureSize = Infinity ) {
+// three.js material map slot -> FBX material property the texture connects to
+const TEXTURE_SLOTS = [
+	[ 'map', 'DiffuseColor' ],
+	[ 'normalMap', 'NormalMap' ],
+	[ 'bumpMap', 'Bump' ],
+	[ 'emissiveMap', 'EmissiveColor' ],
+	[ 'specularMap', 'SpecularColor' ],
+	[ 'roughnessMap', 'ShininessExponent' ],
+	[ 'metalnessMap', 'ReflectionFactor' ],
+	[ 'aoMap', 'AmbientColor' ],
+	[ 'alphaMap', 'TransparentColor' ],
+	[ 'displacementMap', 'DisplacementColor' ]
+];
+
+const _cameraCorrection = new THREE.Quaternion().setFromAxisAngle( new THREE.Vector3( 0, 1, 0 ), Math.PI / 2 );
+const _lightDown = new THREE.Vector3( 0, - 1, 0 );
+
+function getAxisCorrection( obj ) {
+	// FBX cameras look down +X and FBX lights shine down -Y, while three.js cameras look down -Z and
+	// directional/spot lights aim at their target. Returns C such that fbxWorldRotation = threeWorldRotation * C.
+	if ( obj.isCamera ) return _cameraCorrection;
+	if ( ( obj.isDirectionalLight || obj.isSpotLight ) && obj.target ) {
+		const pos = new THREE.Vector3(), quat = new THREE.Quaternion(), scl = new THREE.Vector3();
+		obj.matrixWorld.decompose( pos, quat, scl );
+		obj.target.updateMatrixWorld();
+		const dir = new THREE.Vector3().setFromMatrixPosition( obj.target.matrixWorld ).sub( pos );
+		if ( dir.lengthSq() < 1e-12 ) return null;
+		const aim = new THREE.Quaternion().setFromUnitVectors( _lightDown, dir.normalize() );
+		return quat.invert().multiply( aim );
+	}
+	return null;
+}
+
+// three.js units are treated as meters; the scale is the number of file units per meter
+const UNIT_SCALES = { mm: 1000, cm: 100, m: 1, in: 1 / 0.0254, inch: 1 / 0.0254, ft: 1 / 0.3048 };
+const AXIS_PRESETS = {
+	unity: { upAxis: '+Y', frontAxis: '+Z', handedness: 'right', unit: 'm' },
+	unreal: { upAxis: '+Z', frontAxis: '-Y', handedness: 'right', unit: 'cm' },
+	blender: { upAxis: '+Z', frontAxis: '-Y', handedness: 'right', unit: 'm' },
+	'3dsmax': { upAxis: '+Z', frontAxis: '-Y', handedness: 'right', unit: 'in' }
+};
+
+class AxisConversion {
+	// Maps three.js axes (X right, Y up, Z front, right-handed) to the file's axis system. Points and directions are
+	// multiplied by the basis C, and matrices and rotations are conjugated (C * M * C^T) so hierarchies stay consistent.
+	constructor( upAxis = '+Y', frontAxis = '+Z', handedness = 'right' ) {
+		const axis = name => {
+			const match = /^([+-]?)([XYZ])$/i.exec( name );
+			if ( ! match ) throw new Error( `FBXExporter: Invalid axis "${name}". Expected one of +X, -X, +Y, -Y, +Z, -Z.` );
+			return new THREE.Vector3().setComponent( 'XYZ'.indexOf( match[ 2 ].toUpperCase() ), match[ 1 ] === '-' ? - 1 : 1 );
+		};
+		if ( handedness !== 'right' && handedness !== 'left' ) throw new Error( `FBXExporter: Invalid handedness "${handedness}". Expected "right" or "left".` );
+		this.up = axis( upAxis ); this.front = axis( frontAxis );
+		if ( this.up.dot( this.front ) !== 0 ) throw new Error( 'FBXExporter: upAxis and frontAxis must be perpendicular.' );
+		this.coord = handedness === 'right' ? this.up.clone().cross( this.front ) : this.front.clone().cross( this.up );
+		this.matrix = new THREE.Matrix4().makeBasis( this.coord, this.up, this.front );
+		this.transpose = this.matrix.clone().transpose();
+		// Scale components are reordered by the unsigned basis so each keeps its own sign
+		this.permutation = new THREE.Matrix4().fromArray( this.matrix.elements.map( Math.abs ) );
+		this.mirrored = handedness === 'left';
+		this.isIdentity = this.matrix.equals( new THREE.Matrix4() );
+	}
+	vector( v ) { return this.isIdentity ? v : v.applyMatrix4( this.matrix ); }
+	transform( m ) { return this.isIdentity ? m : m.premultiply( this.matrix ).multiply( this.transpose ); }
+	rotation( q ) { return this.isIdentity ? q : q.setFromRotationMatrix( this.transform( new THREE.Matrix4().makeRotationFromQuaternion( q ) ) ); }
+	scale( s ) { return this.isIdentity ? s : s.applyMatrix4( this.permutation ); }
+	correction( q ) {
+		// Camera/light corrections re-aim the model's local axes, so they take C on the left only; a mirrored
+		// basis also flips the local Z axis to keep the result a rotation
+		if ( this.isIdentity ) return q;
+		const m = new THREE.Matrix4().makeRotationFromQuaternion( q ).premultiply( this.matrix );
+		if ( this.mirrored ) m.multiply( new THREE.Matrix4().makeScale( 1, 1, - 1 ) );
+		return new THREE.Quaternion().setFromRotationMatrix( m );
+	}
+	settings( p70 ) {
+		const index = v => Math.abs( v.x ) ? 0 : ( Math.abs( v.y ) ? 1 : 2 ), sign = v => Math.sign( v.x + v.y + v.z );
+		return p70.addChild( createP( 'UpAxis', 'int', 'Integer', '', index( this.up ) ) ).addChild( createP( 'UpAxisSign', 'int', 'Integer', '', sign( this.up ) ) )
+			.addChild( createP( 'FrontAxis', 'int', 'Integer', '', index( this.front ) ) ).addChild( createP( 'FrontAxisSign', 'int', 'Integer', '', sign( this.front ) ) )
+			.addChild( createP( 'CoordAxis', 'int', 'Integer', '', index( this.coord ) ) ).addChild( createP( 'CoordAxisSign', 'int', 'Integer', '', sign( this.coord ) ) )
+			.addChild( createP( 'OriginalUpAxis', 'int', 'Integer', '', index( this.up ) ) ).addChild( createP( 'OriginalUpAxisSign', 'int', 'Integer', '', sign( this.up ) ) );
+	}
+}
+
+function expandInstances( mesh, instanceColors ) {
+	// One proxy Mesh per instance, parented to (but not added to) the InstancedMesh so it exports as a child Model.
+	// Instance colors tint clones of the materials, shared by all instances of the same color.
+	const proxies = [], tinted = new Map(), matrix = new THREE.Matrix4(), color = new THREE.Color();
+	const mats = Array.isArray( mesh.material ) ? mesh.material : [ mesh.material ];
+	for ( let i = 0; i < mesh.count; i ++ ) {
+		let material = mesh.material;
+		if ( instanceColors && mesh.instanceColor ) {
+			mesh.getColorAt( i, color );
+			const key = color.getHexString();
+			if ( ! tinted.has( key ) ) tinted.set( key, mats.map( m => { const tint = m.clone(); tint.color?.multiply( color ); tint.name = `${m.name || 'Material'}_${key}`; tint.uuid = `${m.uuid}_${key}`; return tint; } ) );
+			material = Array.isArray( mesh.material ) ? tinted.get( key ) : tinted.get( key )[ 0 ];
+		}
+		const proxy = new THREE.Mesh( mesh.geometry, material );
+		proxy.name = `${mesh.name || 'Instance'}_${i}`;
+		// Stable uuids keep 'uuid' IDs of proxies and tinted materials the same from one export to the next
+		proxy.uuid = `${mesh.uuid}_${i}`;
+		mesh.getMatrixAt( i, matrix );
+		matrix.decompose( proxy.position, proxy.quaternion, proxy.scale );
+		proxy.parent = mesh;
+		proxy.updateMatrixWorld();
+		proxies.push( proxy );
+	}
+	return proxies;
+}
+
+// Triangles count as coplanar for merging, and corner normals as continuous across an edge, within 1 degree
+const COPLANAR_COS = Math.cos( THREE.MathUtils.degToRad( 1 ) );
+const SMOOTH_COS = Math.cos( THREE.MathUtils.degToRad( 1 ) );
+
+// Skin weights and morph offsets of welded vertices must match to this, whatever the position tolerance
+const WELD_EPSILON = 1e-6;
+// Component accessors shared by BufferAttribute and InterleavedBufferAttribute (which has no getComponent); both denormalize
+const COMPONENT_GETTERS = [ 'getX', 'getY', 'getZ', 'getW' ];
+
+function matchVertices( geometry, attributes, precision ) {
+	// Maps each vertex to the first vertex whose values in all of the given attributes round to the same values
+	const count = geometry.attributes.position.count, ids = new Int32Array( count ), first = new Map();
+	for ( let v = 0; v < count; v ++ ) {
+		let key = '';
+		for ( const attr of attributes ) for ( let c = 0; c < Math.min( attr.itemSize, 4 ); c ++ ) key += Math.round( attr[ COMPONENT_GETTERS[ c ] ]( v ) / precision ) + ',';
+		if ( ! first.has( key ) ) first.set( key, v );
+		ids[ v ] = first.get( key );
+	}
+	return ids;
+}
+
+function weldControlPoints( geometry, tolerance ) {
+	// A vertex joins the first control point within tolerance of it whose skin weights and morph offsets match to WELD_EPSILON;
+	// normals, UVs and colors stay per polygon corner. Control points are binned in tolerance-sized cells, so only the 27 cells
+	// around a vertex are searched. Returns the control point of each vertex and the first vertex of each control point
+	const { position, skinIndex, skinWeight } = geometry.attributes, morphs = geometry.morphAttributes.position || [];
+	const deformationKey = v => {
+		let key = '';
+		for ( const attr of [ skinIndex, skinWeight ] ) if ( attr ) for ( let c = 0; c < Math.min( attr.itemSize, 4 ); c ++ ) key += Math.round( attr[ COMPONENT_GETTERS[ c ] ]( v ) / WELD_EPSILON ) + ',';
+		for ( const attr of morphs ) for ( let c = 0; c < 3; c ++ ) key += Math.round( ( attr[ COMPONENT_GETTERS[ c ] ]( v ) - ( geometry.morphTargetsRelative ? 0 : position[ COMPONENT_GETTERS[ c ] ]( v ) ) ) / WELD_EPSILON ) + ',';
+		return key;
+	};
+	const controlPoints = new Int32Array( position.count ), vertices = [], keys = [], cells = new Map(), p = new THREE.Vector3(), q = new THREE.Vector3();
+	for ( let v = 0; v < position.count; v ++ ) {
+		p.fromBufferAttribute( position, v );
+		const key = deformationKey( v ), x = Math.floor( p.x / tolerance ), y = Math.floor( p.y / tolerance ), z = Math.floor( p.z / tolerance );
+		let match = - 1;
+		for ( let dx = - 1; dx <= 1 && match < 0; dx ++ ) for ( let dy = - 1; dy <= 1 && match < 0; dy ++ ) for ( let dz = - 1; dz <= 1 && match < 0; dz ++ ) {
+			match = ( cells.get( `${x + dx},${y + dy},${z + dz}` ) || [] ).find( point => keys[ point ] === key && q.fromBufferAttribute( position, vertices[ point ] ).distanceTo( p ) <= tolerance ) ?? - 1;
+		}
+		if ( match < 0 ) {
+			match = vertices.length;
+			vertices.push( v ); keys.push( key );
+			const cell = `${x},${y},${z}`;
+			if ( ! cells.has( cell ) ) cells.set( cell, [] );
+			cells.get( cell ).push( match );
+		}
+		controlPoints[ v ] = match;
+	}
+	return { controlPoints, vertices: Int32Array.from( vertices ) };
+}
+
+function mergeTriangles( geometry, triangles, triangleMaterials, maxSize ) {
+	// Rebuilds quads (maxSize 4) or convex n-gons from coplanar triangles of the same material. Triangles are only merged across
+	// edges whose corners match in every attribute, so the per-corner values of the merged polygon stay exact.
+	// Returns the vertex of each polygon corner, the polygon sizes and the polygon materials, in triangle order
+	const position = geometry.attributes.position, count = Math.floor( triangles.length / 3 );
+	const ids = matchVertices( geometry, [ ...Object.values( geometry.attributes ), ...Object.values( geometry.morphAttributes ).flat() ], 1e-6 );
+	const points = [], normals = [], a = new THREE.Vector3(), b = new THREE.Vector3();
+	for ( let v = 0; v < position.count; v ++ ) points.push( new THREE.Vector3().fromBufferAttribute( position, v ) );
+	const corner = ( t, j ) => triangles[ t * 3 + j % 3 ];
+	// Directed edges, keyed by matched vertices; a neighbor runs along the same edge in the opposite direction
+	const edges = new Map(), edgeKey = ( u, w ) => `${ids[ u ]},${ids[ w ]}`;
+	for ( let t = 0; t < count; t ++ ) {
+		const n = a.subVectors( points[ corner( t, 1 ) ], points[ corner( t, 0 ) ] ).cross( b.subVectors( points[ corner( t, 2 ) ], points[ corner( t, 0 ) ] ) );
+		normals.push( n.lengthSq() > 0 ? n.clone().normalize() : null );
+		for ( let j = 0; j < 3; j ++ ) if ( ! edges.has( edgeKey( corner( t, j ), corner( t, j + 1 ) ) ) ) edges.set( edgeKey( corner( t, j ), corner( t, j + 1 ) ), t );
+	}
+	const convex = ( prev, v, next, normal ) => {
+		a.subVectors( points[ v ], points[ prev ] ); b.subVectors( points[ next ], points[ v ] );
+		const length = a.length() * b.length();
+		return length > 0 && a.cross( b ).dot( normal ) >= - 1e-6 * length;
+	};
+	// The triangle across loop edge i and its third corner, if it can join a polygon of this normal and material
+	const neighbor = ( loop, i, normal, material, used ) => {
+		const u = loop[ i ], w = loop[ ( i + 1 ) % loop.length ], t = edges.get( edgeKey( w, u ) );
+		if ( t === undefined || used[ t ] || ! normals[ t ] || triangleMaterials[ t ] !== material || normals[ t ].dot( normal ) < COPLANAR_COS ) return null;
+		let j = 0;
+		while ( edgeKey( corner( t, j ), corner( t, j + 1 ) ) !== edgeKey( w, u ) ) j ++;
+		const o = corner( t, j + 2 ), prev = loop[ ( i + loop.length - 1 ) % loop.length ], next = loop[ ( i + 2 ) % loop.length ];
+		if ( loop.some( v => ids[ v ] === ids[ o ] ) || ! convex( prev, u, o, normal ) || ! convex( u, o, w, normal ) || ! convex( o, w, next, normal ) ) return null;
+		return { t, o };
+	};
+	const used = new Uint8Array( count ), polygonAt = new Array( count );
+	if ( maxSize === 4 ) {
+		// Pairs are taken best first, scored by how far the quad's corners are from right angles, so grid diagonals are removed
+		const pairs = [];
+		for ( let t = 0; t < count; t ++ ) {
+			if ( ! normals[ t ] ) continue;
+			for ( let j = 0; j < 3; j ++ ) {
+				const loop = [ corner( t, j ), corner( t, j + 1 ), corner( t, j + 2 ) ], match = neighbor( loop, 0, normals[ t ], triangleMaterials[ t ], used );
+				if ( ! match || match.t < t ) continue;
+				loop.splice( 1, 0, match.o );
+				let score = 0;
+				for ( let k = 0; k < 4; k ++ ) score += Math.abs( a.subVectors( points[ loop[ ( k + 3 ) % 4 ] ], points[ loop[ k ] ] ).normalize().dot( b.subVectors( points[ loop[ ( k + 1 ) % 4 ] ], points[ loop[ k ] ] ).normalize() ) );
+				pairs.push( { score, t, other: match.t, loop } );
+			}
+		}
+		pairs.sort( ( x, y ) => x.score - y.score ).forEach( pair => {
+			if ( used[ pair.t ] || used[ pair.other ] ) return;
+			used[ pair.t ] = used[ pair.other ] = 1;
+			polygonAt[ pair.t ] = pair.loop;
+		} );
+	}
+	const corners = [], sizes = [], materials = [];
+	for ( let t = 0; t < count; t ++ ) {
+		let loop = polygonAt[ t ];
+		if ( ! loop && ! used[ t ] ) {
+			used[ t ] = 1;
+			loop = [ corner( t, 0 ), corner( t, 1 ), corner( t, 2 ) ];
+			// N-gons grow from each remaining triangle while a neighbor keeps the polygon convex
+			for ( let i = 0; normals[ t ] && maxSize > 4 && i < loop.length; i ++ ) {
+				const match = neighbor( loop, i, normals[ t ], triangleMaterials[ t ], used );
+				if ( ! match ) continue;
+				used[ match.t ] = 1;
+				loop.splice( i + 1, 0, match.o );
+				i = - 1;
+			}
+		}
+		if ( ! loop ) continue;
+		corners.push( ...loop );
+		sizes.push( loop.length );
+		materials.push( triangleMaterials[ t ] );
+	}
+	return { corners: Int32Array.from( corners ), sizes: Int32Array.from( sizes ), materials: Int32Array.from( materials ) };
+}
+
+function buildEdges( controlPoints, sizes, cornerNormal, byPolygon ) {
+	// FBX Edges list, for each distinct control point pair, the first polygon corner it starts from. An edge is smooth when
+	// the polygons sharing it have matching corner normals at both ends. ByPolygon smoothing assigns smoothing group bits:
+	// polygons joined by smooth edges share one bit, neighbors across hard edges get different ones
+	const edges = [], smooth = [], edgeIndex = new Map(), polygonOf = new Int32Array( controlPoints.length ), nextOf = new Int32Array( controlPoints.length );
+	for ( let p = 0, start = 0; p < sizes.length; start += sizes[ p ++ ] ) for ( let k = 0; k < sizes[ p ]; k ++ ) {
+		polygonOf[ start + k ] = p;
+		nextOf[ start + k ] = start + ( k + 1 ) % sizes[ p ];
+	}
+	const parent = new Int32Array( sizes.length ).map( ( _, i ) => i ), hardPairs = [];
+	const find = p => { while ( parent[ p ] !== p ) p = parent[ p ] = parent[ parent[ p ] ]; return p; };
+	for ( let k = 0; k < controlPoints.length; k ++ ) {
+		const u = controlPoints[ k ], w = controlPoints[ nextOf[ k ] ], key = u < w ? `${u},${w}` : `${w},${u}`;
+		const e = edgeIndex.get( key );
+		if ( e === undefined ) {
+			edgeIndex.set( key, edges.length );
+			edges.push( k ); smooth.push( 1 );
+			continue;
+		}
+		// Compare the normals at each end with those of the corner that first used the edge
+		const f = edges[ e ], same = controlPoints[ f ] === u;
+		const continuous = ! cornerNormal || ( cornerNormal( f, same ? k : nextOf[ k ] ) >= SMOOTH_COS && cornerNormal( nextOf[ f ], same ? nextOf[ k ] : k ) >= SMOOTH_COS );
+		if ( ! continuous ) { smooth[ e ] = 0; hardPairs.push( [ polygonOf[ f ], polygonOf[ k ] ] ); }
+		else parent[ find( polygonOf[ k ] ) ] = find( polygonOf[ f ] );
+	}
+	if ( ! byPolygon ) return { edges: Int32Array.from( edges ), smoothing: Int32Array.from( smooth ) };
+	const neighbors = new Map(), bits = new Map(), size = new Map();
+	for ( let p = 0; p < sizes.length; p ++ ) size.set( find( p ), ( size.get( find( p ) ) || 0 ) + 1 );
+	hardPairs.forEach( ( [ p, q ] ) => {
+		const x = find( p ), y = find( q );
+		if ( x === y ) return;
+		if ( ! neighbors.has( x ) ) neighbors.set( x, new Set() );
+		if ( ! neighbors.has( y ) ) neighbors.set( y, new Set() );
+		neighbors.get( x ).add( y ); neighbors.get( y ).add( x );
+	} );
+	const groups = new Int32Array( sizes.length );
+	for ( let p = 0; p < sizes.length; p ++ ) {
+		const root = find( p );
+		// A polygon with no smooth neighbor is flat, group 0
+		if ( size.get( root ) === 1 ) continue;
+		if ( ! bits.has( root ) ) {
+			let taken = 0;
+			neighbors.get( root )?.forEach( other => taken |= bits.get( other ) || 0 );
+			let bit = 0;
+			while ( bit < 31 && taken & ( 1 << bit ) ) bit ++;
+			bits.set( root, 1 << bit );
+		}
+		groups[ p ] = bits.get( root );
+	}
+	return { edges: Int32Array.from( edges ), smoothing: groups };
+}
+
+function closestEuler( euler, previous ) {
+	// Every rotation has two Euler solutions, (x, y, z) and (x + PI, PI - y, z + PI), each repeating every 2 PI.
+	// FBX interpolates the angles linearly, so keys pick the solution nearest the previous key.
+	const wrap = ( a, ref ) => a - Math.round( ( a - ref ) / ( 2 * Math.PI ) ) * 2 * Math.PI;
+	const a = [ wrap( euler.x, previous.x ), wrap( euler.y, previous.y ), wrap( euler.z, previous.z ) ];
+	const b = [ wrap( euler.x + Math.PI, previous.x ), wrap( Math.PI - euler.y, previous.y ), wrap( euler.z + Math.PI, previous.z ) ];
+	const distance = v => Math.abs( v[ 0 ] - previous.x ) + Math.abs( v[ 1 ] - previous.y ) + Math.abs( v[ 2 ] - previous.z );
+	return euler.set( ...( distance( b ) < distance( a ) ? b : a ), euler.order );
+}
+function resampleTrack( track, fps ) {
+	// Samples a track on a fixed frame grid through its own interpolant, so cubic and glTF spline tracks resample exactly
+	const start = track.times[ 0 ], end = track.times[ track.times.length - 1 ];
+	const times = [ start ];
+	for ( let f = Math.floor( start * fps ) + 1; f / fps < end - 1e-6; f ++ ) times.push( f / fps );
+	if ( end > start ) times.push( end );
+	const interpolant = track.createInterpolant(), values = [];
+	times.forEach( t => values.push( ...interpolant.evaluate( t ) ) );
+	const interpolation = track.getInterpolation() === THREE.InterpolateDiscrete ? THREE.InterpolateDiscrete : THREE.InterpolateLinear;
+	return new track.constructor( track.name, times, values, interpolation );
+}
+function reduceCurve( seconds, keys, isWithinTolerance, stepped ) {
+	// Greedily extends each linear (or stepped) segment while every key it skips stays within tolerance; returns kept key indices.
+	// Keys are arrays of channel values, so channels reduced together share their key times
+	const kept = [ 0 ];
+	let anchor = 0;
+	for ( let end = 2; end < keys.length; end ++ ) {
+		for ( let j = anchor + 1; j < end; j ++ ) {
+			const f = ( seconds[ j ] - seconds[ anchor ] ) / ( seconds[ end ] - seconds[ anchor ] );
+			if ( ! isWithinTolerance( j, stepped ? keys[ anchor ] : keys[ anchor ].map( ( v, c ) => v + ( keys[ end ][ c ] - v ) * f ), anchor, end, f ) ) {
+				anchor = end - 1; kept.push( anchor );
+				break;
+			}
+		}
+	}
+	if ( keys.length > 1 ) kept.push( keys.length - 1 );
+	return kept;
+}
+function findTrackTarget( trackName, candidates, root ) {
+	// Resolves a track's node path (name, uuid or Parent/Child binding path) to one of the exported objects
+	let binding;
+	try { binding = THREE.PropertyBinding.parseTrackName( trackName ); } catch ( e ) { return null; }
+	if ( binding.objectName ) return null;
+	const path = trackName.slice( 0, trackName.lastIndexOf( `.${binding.propertyName}` ) );
+	const result = { propertyName: binding.propertyName, propertyIndex: binding.propertyIndex, object: null };
+	if ( path === '' ) { result.object = candidates.includes( root ) ? root : null; return result; }
+	result.object = candidates.find( o => o.name === path || o.uuid === path ) || null;
+	if ( ! result.object && path.includes( '/' ) ) {
+		const segments = path.split( '/' ), leaf = segments.pop();
+		result.object = candidates.find( o => {
+			if ( o.name !== leaf && o.uuid !== leaf ) return false;
+			let ancestor = o.parent;
+			for ( let i = segments.length - 1; i >= 0; i -- ) {
+				while ( ancestor && ancestor.name !== segments[ i ] && ancestor.uuid !== segments[ i ] ) ancestor = ancestor.parent;
+				if ( ! ancestor ) return false;
+				ancestor = ancestor.parent;
+			}
+			return true;
+		} ) || null;
+	}
+	// Mixamo rigs are often animated by clips whose bone names differ only in their prefix
+	if ( ! result.object ) result.object = candidates.find( o => o.isBone && normalizeMixamoName( o.name ) === normalizeMixamoName( path.split( '/' ).pop() ) ) || null;
+	return result;
+}
+// Definitions PropertyTemplates: the FBX class and default property values per object type
+const vec = ( x, y, z ) => [ new Double( x ), new Double( y ), new Double( z ) ];
+const LAMBERT_TEMPLATE = [
+	[ 'ShadingModel', 'KString', '', '', 'Lambert' ], [ 'MultiLayer', 'bool', '', '', 0 ],
+	[ 'EmissiveColor', 'Color', '', 'A', vec( 0, 0, 0 ) ], [ 'EmissiveFactor', 'Number', '', 'A', new Double( 1 ) ],
+	[ 'AmbientColor', 'Color', '', 'A', vec( 0.2, 0.2, 0.2 ) ], [ 'AmbientFactor', 'Number', '', 'A', new Double( 1 ) ],
+	[ 'DiffuseColor', 'Color', '', 'A', vec( 0.8, 0.8, 0.8 ) ], [ 'DiffuseFactor', 'Number', '', 'A', new Double( 1 ) ],
+	[ 'Bump', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ], [ 'NormalMap', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ], [ 'BumpFactor', 'double', 'Number', '', new Double( 1 ) ],
+	[ 'TransparentColor', 'Color', '', 'A', vec( 0, 0, 0 ) ], [ 'TransparencyFactor', 'Number', '', 'A', new Double( 0 ) ],
+	[ 'DisplacementColor', 'ColorRGB', 'Color', '', vec( 0, 0, 0 ) ], [ 'DisplacementFactor', 'double', 'Number', '', new Double( 1 ) ],
+	[ 'VectorDisplacementColor', 'ColorRGB', 'Color', '', vec( 0, 0, 0 ) ], [ 'VectorDisplacementFactor', 'double', 'Number', '', new Double( 1 ) ]
+];
+const PROPERTY_TEMPLATES = {
+	Model: [ 'FbxNode', [
+		[ 'QuaternionInterpolate', 'enum', '', '', 0 ],
+		[ 'RotationOffset', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ], [ 'RotationPivot', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ],
+		[ 'ScalingOffset', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ], [ 'ScalingPivot', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ],
+		[ 'TranslationActive', 'bool', '', '', 0 ], [ 'RotationOrder', 'enum', '', '', 0 ], [ 'RotationSpaceForLimitOnly', 'bool', '', '', 0 ],
+		[ 'PreRotation', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ], [ 'PostRotation', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ],
+		[ 'RotationActive', 'bool', '', '', 0 ], [ 'ScalingActive', 'bool', '', '', 0 ], [ 'InheritType', 'enum', '', '', 0 ],
+		[ 'GeometricTranslation', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ], [ 'GeometricRotation', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ], [ 'GeometricScaling', 'Vector3D', 'Vector', '', vec( 1, 1, 1 ) ],
+		[ 'DefaultAttributeIndex', 'int', 'Integer', '', - 1 ],
+		[ 'Lcl Translation', 'Lcl Translation', '', 'A', vec( 0, 0, 0 ) ], [ 'Lcl Rotation', 'Lcl Rotation', '', 'A', vec( 0, 0, 0 ) ], [ 'Lcl Scaling', 'Lcl Scaling', '', 'A', vec( 1, 1, 1 ) ],
+		[ 'Visibility', 'Visibility', '', 'A', new Double( 1 ) ], [ 'Visibility Inheritance', 'Visibility Inheritance', '', '', 1 ],
+		[ 'Show', 'bool', '', '', 1 ], [ 'NegativePercentShapeSupport', 'bool', '', '', 1 ]
+	] ],
+	Geometry: [ 'FbxMesh', [
+		[ 'Color', 'ColorRGB', 'Color', '', vec( 0.8, 0.8, 0.8 ) ],
+		[ 'BBoxMin', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ], [ 'BBoxMax', 'Vector3D', 'Vector', '', vec( 0, 0, 0 ) ],
+		[ 'Primary Visibility', 'bool', '', '', 1 ], [ 'Casts Shadows', 'bool', '', '', 1 ], [ 'Receive Shadows', 'bool', '', '', 1 ]
+	] ],
+	Material: [ 'FbxSurfaceLambert', LAMBERT_TEMPLATE ],
+	AnimationCurveNode: [ 'FbxAnimCurveNode', [ [ 'd', 'Compound', '', '' ] ] ]
+};
+// Phong extends Lambert, so it is used as soon as one material is Phong
+const PHONG_TEMPLATE = [ 'FbxSurfacePhong', [
+	...LAMBERT_TEMPLATE.map( p => p[ 0 ] === 'ShadingModel' ? [ 'ShadingModel', 'KString', '', '', 'Phong' ] : p ),
+	[ 'SpecularColor', 'Color', '', 'A', vec( 0.2, 0.2, 0.2 ) ], [ 'SpecularFactor', 'Number', '', 'A', new Double( 1 ) ],
+	[ 'ShininessExponent', 'Number', '', 'A', new Double( 20 ) ],
+	[ 'ReflectionColor', 'Color', '', 'A', vec( 0, 0, 0 ) ], [ 'ReflectionFactor', 'Number', '', 'A', new Double( 1 ) ]
+] ];
+// Reports progress and lets the event loop run between chunks of work; throws once the signal is aborted
+function createProgressReporter( onProgress, signal ) {
+	let lastYield = performance.now();
+	return async ( phase, completed, total ) => {
+		signal?.throwIfAborted();
+		if ( onProgress ) onProgress( { phase, completed, total } );
+		if ( performance.now() - lastYield < 16 ) return;
+		await new Promise( resolve => setTimeout( resolve, 0 ) );
+		lastYield = performance.now();
+		signal?.throwIfAborted();
+	};
+}
+// Object3D.toJSON() turns geometry arrays into plain arrays; copies of the typed arrays are sent instead and transferred
+function serializeForWorker( root, animations ) {
+	const scene = root.toJSON(), geometries = new Map(), transfer = [];
+	root.traverse( obj => { if ( obj.geometry ) geometries.set( obj.geometry.uuid, obj.geometry ); } );
+	const copy = attribute => { const array = attribute.array.slice(); transfer.push( array.buffer ); return array; };
+	( scene.geometries || [] ).forEach( json => {
+		const geometry = geometries.get( json.uuid ), data = json.data;
+		if ( ! geometry?.isBufferGeometry || ! data?.attributes ) return;
+		if ( data.index ) data.index.array = copy( geometry.index );
+		for ( const name in data.attributes ) if ( ! geometry.attributes[ name ].isInterleavedBufferAttribute ) data.attributes[ name ].array = copy( geometry.attributes[ name ] );
+		for ( const name in data.morphAttributes ) data.morphAttributes[ name ].forEach( ( attribute, i ) => { if ( ! geometry.morphAttributes[ name ][ i ].isInterleavedBufferAttribute ) attribute.array = copy( geometry.morphAttributes[ name ][ i ] ); } );
+	} );
+	return { scene, animations: animations.map( clip => THREE.AnimationClip.toJSON( clip ) ), transfer };
+}
+function getLightType( light ) {
+	if ( light.isPointLight ) return 0;
+	if ( light.isDirectionalLight ) return 1;
+	if ( light.isSpotLight ) return 2;
+	return undefined;
+}
+
+const _crcTable = ( () => {
+	const table = new Uint32Array( 256 );
+	for ( let n = 0; n < 256; n ++ ) {
+		let c = n;
+		for ( let k = 0; k < 8; k ++ ) c = c & 1 ? 0xEDB88320 ^ ( c >>> 1 ) : c >>> 1;
+		table[ n ] = c >>> 0;
+	}
+	return table;
+} )();
+
+function crc32( bytes ) {
+	let c = 0xFFFFFFFF;
+	for ( let i = 0; i < bytes.length; i ++ ) c = _crcTable[ ( c ^ bytes[ i ] ) & 0xFF ] ^ ( c >>> 8 );
+	return ( c ^ 0xFFFFFFFF ) >>> 0;
+}
+
+function base64ToBytes( base64 ) {
+	const binary = atob( base64 );
+	const bytes = new Uint8Array( binary.length );
+	for ( let i = 0; i < binary.length; i ++ ) bytes[ i ] = binary.charCodeAt( i );
+	return bytes;
+}
+
+// Minimal PNG writer (no filtering) for pixel data when no canvas is available. Rows are top to bottom.
+function encodePNG( pixels, width, height, channels, bitDepth ) {
+	const rowLength = width * channels * ( bitDepth / 8 );
+	const raw = new Uint8Array( ( rowLength + 1 ) * height );
+	for ( let y = 0; y < height; y ++ ) {
+		const row = y * ( rowLength + 1 ) + 1;
+		for ( let i = 0; i < width * channels; i ++ ) {
+			const v = pixels[ y * width * channels + i ];
+			if ( bitDepth === 16 ) { raw[ row + i * 2 ] = v >> 8; raw[ row + i * 2 + 1 ] = v & 0xFF; } else raw[ row + i ] = v;
+		}
+	}
+	const ihdr = new Uint8Array( 13 ), ihdrView = new DataView( ihdr.buffer );
+	ihdrView.setUint32( 0, width ); ihdrView.setUint32( 4, height ); ihdr[ 8 ] = bitDepth; ihdr[ 9 ] = [ 0, 0, 4, 2, 6 ][ channels ];
+	const chunks = [ [ 'IHDR', ihdr ], [ 'IDAT', fflate.zlibSync( raw ) ], [ 'IEND', new Uint8Array( 0 ) ] ];
+	const out = new Uint8Array( 8 + chunks.reduce( ( n, [ , data ] ) => n + 12 + data.length, 0 ) ), view = new DataView( out.buffer );
+	out.set( [ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ] );
+	let offset = 8;
+	chunks.forEach( ( [ type, data ] ) => {
+		const typed = new Uint8Array( 4 + data.length );
+		for ( let i = 0; i < 4; i ++ ) typed[ i ] = type.charCodeAt( i );
+		typed.set( data, 4 );
+		view.setUint32( offset, data.length ); out.set( typed, offset + 4 ); view.setUint32( offset + 8 + data.length, crc32( typed ) );
+		offset += 12 + data.length;
+	} );
+	return out;
+}
+
+function encodeDataTexture( texture, width, height ) {
+	// DataTexture / ImageData pixels; 16-bit and float sources are kept at 16 bits per channel
+	const { data, width: srcWidth, height: srcHeight } = texture.image;
+	const channels = data.length / ( srcWidth * srcHeight );
+	if ( ! [ 1, 2, 3, 4 ].includes( channels ) ) return null;
+	const isHalf = texture.type === THREE.HalfFloatType, isFloat = isHalf || data instanceof Float32Array;
+	const is16 = isFloat || data instanceof Uint16Array;
+	if ( ! is16 && ! ( data instanceof Uint8Array || data instanceof Uint8ClampedArray ) ) return null;
+	const pixels = is16 ? new Uint16Array( width * height * channels ) : new Uint8Array( width * height * channels );
+	for ( let y = 0; y < height; y ++ ) {
+		// Data rows start at v = 0 unless flipY is set; PNG rows start at the top
+		const sy = Math.min( srcHeight - 1, Math.floor( y * srcHeight / height ) );
+		const srcRow = texture.flipY ? sy : srcHeight - 1 - sy;
+		for ( let x = 0; x < width; x ++ ) {
+			const sx = Math.min( srcWidth - 1, Math.floor( x * srcWidth / width ) );
+			for ( let c = 0; c < channels; c ++ ) {
+				let v = data[ ( srcRow * srcWidth + sx ) * channels + c ];
+				if ( isHalf ) v = THREE.DataUtils.fromHalfFloat( v );
+				if ( isFloat ) v = Math.round( THREE.MathUtils.clamp( v, 0, 1 ) * 65535 );
+				pixels[ ( y * width + x ) * channels + c ] = v;
+			}
+		}
+	}
+	return encodePNG( pixels, width, height, channels, is16 ? 16 : 8 );
+}
+
+async function encodeWithCanvas( image, width, height ) {
+	if ( typeof OffscreenCanvas !== 'undefined' ) {
+		const canvas = new OffscreenCanvas( width, height );
+		canvas.getContext( '2d' ).drawImage( image, 0, 0, width, height );
+		const blob = await canvas.convertToBlob( { type: 'image/png' } );
+		return new Uint8Array( await blob.arrayBuffer() );
+	}
+	if ( typeof document !== 'undefined' ) {
+		const canvas = document.createElement( 'canvas' );
+		canvas.width = width;
+		canvas.height = height;
+		canvas.getContext( '2d' ).drawImage( image, 0, 0, width, height );
+		return base64ToBytes( canvas.toDataURL( 'image/png' ).split( ',' )[ 1 ] );
+	}
+	return null;
+}
+
+function getImageExtension( bytes, mimeType ) {
+	const b = bytes;
+	if ( b[ 0 ] === 0x89 && b[ 1 ] === 0x50 && b[ 2 ] === 0x4E && b[ 3 ] === 0x47 ) return 'png';
+	if ( b[ 0 ] === 0xFF && b[ 1 ] === 0xD8 && b[ 2 ] === 0xFF ) return 'jpg';
+	if ( b[ 0 ] === 0x42 && b[ 1 ] === 0x4D ) return 'bmp';
+	if ( b[ 0 ] === 0x47 && b[ 1 ] === 0x49 && b[ 2 ] === 0x46 ) return 'gif';
+	if ( ( b[ 0 ] === 0x49 && b[ 1 ] === 0x49 && b[ 2 ] === 0x2A ) || ( b[ 0 ] === 0x4D && b[ 1 ] === 0x4D && b[ 3 ] === 0x2A ) ) return 'tif';
+	if ( b[ 0 ] === 0x52 && b[ 1 ] === 0x49 && b[ 2 ] === 0x46 && b[ 3 ] === 0x46 && b[ 8 ] === 0x57 && b[ 9 ] === 0x45 ) return 'webp';
+	const subtype = mimeType ? mimeType.split( '/' )[ 1 ] : null;
+	if ( ! subtype ) return null;
+	return { jpeg: 'jpg', 'x-tga': 'tga', tiff: 'tif' }[ subtype ] || subtype;
+}
+
+function getSourceBytes( texture ) {
+	// Original file bytes, either supplied by the application or recoverable from a data URL
+	const src = texture.userData?.sourceBytes;
+	if ( src instanceof ArrayBuffer ) return { bytes: new Uint8Array( src ), mimeType: texture.userData.mimeType };
+	if ( ArrayBuffer.isView( src ) ) return { bytes: new Uint8Array( src.buffer, src.byteOffset, src.byteLength ), mimeType: texture.userData.mimeType };
+	const url = texture.image?.src;
+	if ( typeof url === 'string' && /^data:[^,]*;base64,/.test( url ) ) return { bytes: base64ToBytes( url.slice( url.indexOf( ',' ) + 1 ) ), mimeType: url.slice( 5, url.indexOf( ';' ) ) };
+	return null;
+}
+
+async function getTextureData( texture, maxTextureSize = Infinity, imageEncoder = null ) {
+	const image = texture.image;
 	if ( ! image ) return null;
-	let canvas, ctx, width = image.width, height = image.height;
-	if ( ! width || ! height ) return null;
-	if ( width > maxTextureSize || height > maxTextureSize ) {
-		const scale = Math.min( maxTextureSize / width, maxTextureSize / height );
-		width = Math.floor( width * scale );
-		height = Math.floor( height * scale );
-	}
-	try {
-		if ( typeof document !== 'undefined' ) {
-			canvas = document.createElement( 'canvas' );
-			canvas.width = width;
-			canvas.height = height;
-			ctx = canvas.getContext( '2d' );
-		} else return null;
-		ctx.drawImage( image, 0, 0, width, height );
-		const dataURL = canvas.toDataURL( 'image/png' );
-		const binary = atob( dataURL.split( ',' )[ 1 ] );
-		const bytes = new Uint8Array( binary.length );
-		for ( let i = 0; i < binary.length; i ++ ) bytes[ i ] = binary.charCodeAt( i );
-		return bytes;
-	} catch ( e ) {
-		console.warn( 'FBXExporter: Image access failed (CORS or format). Skipping.', e );
-		return null;
+	const srcWidth = image.width || image.videoWidth, srcHeight = image.height || image.videoHeight;
+	const oversized = srcWidth > maxTextureSize || srcHeight > maxTextureSize;
+	const source = getSourceBytes( texture );
+	const sourceExtension = source ? getImageExtension( source.bytes, source.mimeType ) : null;
+	if ( sourceExtension && ! oversized ) return { bytes: source.bytes, extension: sourceExtension };
+	if ( srcWidth && srcHeight ) {
+		let width = srcWidth, height = srcHeight;
+		if ( oversized ) {
+			const scale = Math.min( maxTextureSize / width, maxTextureSize / height );
+			width = Math.max( 1, Math.floor( width * scale ) );
+			height = Math.max( 1, Math.floor( height * scale ) );
+		}
+		try {
+			let bytes = imageEncoder ? await imageEncoder( image, { width, height, texture } ) : null;
+			if ( ! bytes && ArrayBuffer.isView( image.data ) ) bytes = encodeDataTexture( texture, width, height );
+			if ( ! bytes ) bytes = await encodeWithCanvas( image, width, height );
+			if ( typeof Blob !== 'undefined' && bytes instanceof Blob ) bytes = new Uint8Array( await bytes.arrayBuffer() );
+			else if ( bytes instanceof ArrayBuffer ) bytes = new Uint8Array( bytes );
+			const extension = bytes ? getImageExtension( bytes ) : null;
+			if ( extension ) return { bytes, extension };
+		} catch ( e ) {
+			console.warn( 'FBXExporter: Image access failed (CORS or format). Skipping.', e );
+		}
 	}
+	// Could not re-encode at the requested size; the original file is better than nothing
+	return sourceExtension ? { bytes: source.bytes, extension: sourceExtension } : null;
+}
+
+// FBX array type codes for typed-array properties
+const ARRAY_TYPES = [ [ Float64Array, 100 ], [ Float32Array, 102 ], [ Int32Array, 105 ], [ BigInt64Array, 108 ] ];
+const _littleEndian = new Uint8Array( new Uint16Array( [ 1 ] ).buffer )[ 0 ] === 1;
+function toLittleEndian( array ) {
+	const view = new DataView( new ArrayBuffer( array.byteLength ) ), size = array.BYTES_PER_ELEMENT;
+	const setter = array instanceof Float64Array ? 'setFloat64' : ( array instanceof Float32Array ? 'setFloat32' : ( array instanceof Int32Array ? 'setInt32' : 'setBigInt64' ) );
+	for ( let i = 0; i < array.length; i ++ ) view[ setter ]( i * size, array[ i ], true );
+	return new Uint8Array( view.buffer );
 }
 
 class BinaryWriter {
-	constructor( initialSize = 4 * 1024 * 1024 ) {
-		this.buffer = new ArrayBuffer( initialSize );
-		this.view = new DataView( this.buffer );
+	constructor( chunkSize = 4 * 1024 * 1024, compressThreshold = Infinity, offsetSize = 8 ) {
+		// Output is kept as a list of chunks, so growing never copies what was already written
+		this.chunkSize = chunkSize;
+		this.chunks = [];
+		this.bytes = null;
+		this.view = null;
+		this.chunkStart = 0;
 		this.offset = 0;
 		this.textEncoder = new TextEncoder();
+		// Arrays whose raw payload is at least this many bytes are zlib-deflated (encoding 1)
+		this.compressThreshold = compressThreshold;
+		this.offsetSize = offsetSize;
+	}
+	finishChunk() {
+		if ( this.bytes && this.offset > this.chunkStart ) {
+			const used = this.bytes.subarray( 0, this.offset - this.chunkStart );
+			// A mostly empty chunk is copied out so its unused tail can be released
+			this.chunks.push( { start: this.chunkStart, bytes: used.length < this.bytes.length / 2 ? used.slice() : used } );
+		}
+		this.bytes = this.view = null;
 	}
 	ensureSpace( size ) {
-		if ( this.offset + size > this.buffer.byteLength ) {
-			const newSize = Math.max( this.buffer.byteLength * 2, this.offset + size );
-			const newBuffer = new ArrayBuffer( newSize );
-			new Uint8Array( newBuffer ).set( new Uint8Array( this.buffer ) );
-			this.buffer = newBuffer;
-			this.view = new DataView( this.buffer );
-		}
-	}
-	writeUint8( v ) { this.ensureSpace( 1 ); this.view.setUint8( this.offset, v ); this.offset += 1; }
-	writeUint32( v ) { this.ensureSpace( 4 ); this.view.setUint32( this.offset, v, true ); this.offset += 4; }
-	writeInt32( v ) { this.ensureSpace( 4 ); this.view.setInt32( this.offset, v, true ); this.offset += 4; }
-	writeFloat32( v ) { this.ensureSpace( 4 ); this.view.setFloat32( this.offset, v, true ); this.offset += 4; }
-	writeFloat64( v ) { this.ensureSpace( 8 ); this.view.setFloat64( this.offset, v, true ); this.offset += 8; }
-	writeBigUint64( v ) { this.ensureSpace( 8 ); this.view.setBigUint64( this.offset, BigInt( v ), true ); this.offset += 8; }
-	writeBigInt64( v ) { this.ensureSpace( 8 ); this.view.setBigInt64( this.offset, BigInt( v ), true ); this.offset += 8; }
-	writeBytes( bytes ) { this.ensureSpace( bytes.length ); new Uint8Array( this.buffer ).set( bytes, this.offset ); this.offset += bytes.length; }
+		if ( this.bytes && this.offset - this.chunkStart + size <= this.bytes.length ) return;
+		this.finishChunk();
+		this.bytes = new Uint8Array( Math.max( size, this.chunkSize ) );
+		this.view = new DataView( this.bytes.buffer );
+		this.chunkStart = this.offset;
+	}
+	advance( size ) { const at = this.offset - this.chunkStart; this.offset += size; return at; }
+	writeUint8( v ) { this.ensureSpace( 1 ); this.view.setUint8( this.advance( 1 ), v ); }
+	writeUint32( v ) { this.ensureSpace( 4 ); this.view.setUint32( this.advance( 4 ), v, true ); }
+	writeInt32( v ) { this.ensureSpace( 4 ); this.view.setInt32( this.advance( 4 ), v, true ); }
+	writeFloat32( v ) { this.ensureSpace( 4 ); this.view.setFloat32( this.advance( 4 ), v, true ); }
+	writeFloat64( v ) { this.ensureSpace( 8 ); this.view.setFloat64( this.advance( 8 ), v, true ); }
+	writeBigUint64( v ) { this.ensureSpace( 8 ); this.view.setBigUint64( this.advance( 8 ), BigInt( v ), true ); }
+	writeBigInt64( v ) { this.ensureSpace( 8 ); this.view.setBigInt64( this.advance( 8 ), BigInt( v ), true ); }
+	writeOffset( v ) { if ( this.offsetSize === 8 ) this.writeBigUint64( v ); else this.writeUint32( Number( v ) ); }
+	writeNullRecord() { for ( let i = 0; i < 3; i ++ ) this.writeOffset( 0 ); this.writeUint8( 0 ); }
+	writeBytes( bytes ) {
+		// Large payloads become chunks of their own instead of being copied
+		if ( bytes.length >= this.chunkSize / 4 ) {
+			this.finishChunk();
+			this.chunks.push( { start: this.offset, bytes } );
+			this.offset += bytes.length;
+			return;
+		}
+		this.ensureSpace( bytes.length ); this.bytes.set( bytes, this.advance( bytes.length ) );
+	}
+	patchOffset( offset, v ) {
+		if ( this.offsetSize === 4 && v > 0xFFFFFFFF ) throw new Error( 'FBXExporter: Output exceeds 4 GB, which needs version 7500 or later.' );
+		// Values are never split between chunks, so the chunk holding the offset holds the whole value
+		let view = this.view, at = offset - this.chunkStart;
+		if ( ! this.bytes || offset < this.chunkStart ) {
+			let lo = 0, hi = this.chunks.length - 1;
+			while ( lo < hi ) { const mid = ( lo + hi + 1 ) >> 1; if ( this.chunks[ mid ].start <= offset ) lo = mid; else hi = mid - 1; }
+			const chunk = this.chunks[ lo ];
+			view = new DataView( chunk.bytes.buffer, chunk.bytes.byteOffset, chunk.bytes.length );
+			at = offset - chunk.start;
+		}
+		if ( this.offsetSize === 8 ) view.setBigUint64( at, BigInt( v ), true );
+		else view.setUint32( at, v, true );
+	}
 	writeProperty( prop ) {
 		this.ensureSpace( 1 );
 		if ( typeof prop === 'boolean' ) {
@@ -140,6 +801,14 @@ class BinaryWriter {
 			} else { this.writeUint8( 68 ); this.writeFloat64( val ); }
 			return;
 		}
+		if ( ArrayBuffer.isView( prop ) ) {
+			// Typed arrays are copied in bulk; the FBX array type follows the element type
+			const type = ARRAY_TYPES.find( t => prop instanceof t[ 0 ] );
+			if ( ! type ) throw new Error( `FBXExporter: Unsupported array type ${prop.constructor.name}.` );
+			const raw = _littleEndian ? new Uint8Array( prop.buffer, prop.byteOffset, prop.byteLength ) : null;
+			this.writeArray( type[ 1 ], prop.length, raw ? ( raw.length >= this.chunkSize / 4 ? raw : raw.slice() ) : toLittleEndian( prop ) );
+			return;
+		}
 		if ( Array.isArray( prop ) ) {
 			const len = prop.length;
 			if ( len === 0 ) { this.writeUint8( 100 ); this.writeUint32( 0 ); this.writeUint32( 0 ); this.writeUint32( 0 ); return; }
@@ -150,38 +819,142 @@ class BinaryWriter {
 			if ( isBigInt ) { typeCode = 108; byteSize = 8; }
 			else if ( isFloat32 ) { typeCode = 102; byteSize = 4; }
 			else if ( isInt32 ) { typeCode = 105; byteSize = 4; }
-			this.writeUint8( typeCode ); this.writeUint32( len ); this.writeUint32( 0 ); this.writeUint32( len * byteSize );
-			for ( let v of prop ) {
+			const raw = new DataView( new ArrayBuffer( len * byteSize ) );
+			for ( let i = 0; i < len; i ++ ) {
+				const v = prop[ i ];
 				const val = ( v && v.value !== undefined ) ? v.value : v;
-				if ( typeCode === 108 ) this.writeBigInt64( val );
-				else if ( typeCode === 102 ) this.writeFloat32( val );
-				else if ( typeCode === 105 ) this.writeInt32( val );
-				else this.writeFloat64( val );
+				if ( typeCode === 108 ) raw.setBigInt64( i * 8, BigInt( val ), true );
+				else if ( typeCode === 102 ) raw.setFloat32( i * 4, val, true );
+				else if ( typeCode === 105 ) raw.setInt32( i * 4, val, true );
+				else raw.setFloat64( i * 8, val, true );
 			}
+			this.writeArray( typeCode, len, new Uint8Array( raw.buffer ) );
+		}
+	}
+	writeArray( typeCode, length, bytes ) {
+		let encoding = 0;
+		if ( bytes.length >= this.compressThreshold ) {
+			const deflated = fflate.zlibSync( bytes );
+			if ( deflated.length < bytes.length ) { bytes = deflated; encoding = 1; }
 		}
+		this.writeUint8( typeCode ); this.writeUint32( length ); this.writeUint32( encoding ); this.writeUint32( bytes.length ); this.writeBytes( bytes );
 	}
 	writeNode( node ) {
+		const startOffset = this.beginNode( node );
+		for ( let child of node.children ) this.writeNode( child );
+		this.endNode( node, startOffset );
+	}
+	beginNode( node ) {
 		const startOffset = this.offset;
-		this.writeBigUint64( 0n ); this.writeBigUint64( BigInt( node.properties.length ) ); this.writeBigUint64( 0n );
+		this.writeOffset( 0 ); this.writeOffset( node.properties.length ); this.writeOffset( 0 );
 		const nameBytes = node.name ? this.textEncoder.encode( node.name ) : new Uint8Array( 0 );
 		this.writeUint8( nameBytes.length );
 		if ( nameBytes.length > 0 ) this.writeBytes( nameBytes );
 		for ( let p of node.properties ) this.writeProperty( p );
 		const currentPos = this.offset;
-		const headerSize = 25 + nameBytes.length;
+		const headerSize = 3 * this.offsetSize + 1 + nameBytes.length;
 		const propLen = currentPos - startOffset - headerSize;
-		this.view.setBigUint64( startOffset + 16, BigInt( propLen ), true );
-		if ( node.children.length > 0 || [ 'AnimationStack', 'AnimationLayer' ].includes( node.name ) ) {
-			for ( let child of node.children ) this.writeNode( child );
-			this.writeBigUint64( 0n ); this.writeBigUint64( 0n ); this.writeBigUint64( 0n ); this.writeUint8( 0 );
+		this.patchOffset( startOffset + 2 * this.offsetSize, propLen );
+		return startOffset;
+	}
+	endNode( node, startOffset ) {
+		if ( node.children.length > 0 || [ 'AnimationStack', 'AnimationLayer' ].includes( node.name ) ) this.writeNullRecord();
+		this.patchOffset( startOffset, this.offset );
+	}
+	getBlob() { this.finishChunk(); return new Blob( this.chunks.map( chunk => chunk.bytes ), { type: 'application/octet-stream' } ); }
+}
+
+class AsciiWriter {
+	constructor( version = FBX_VERSION ) {
+		this.lines = [ `; FBX ${Math.floor( version / 1000 )}.${Math.floor( version % 1000 / 100 )}.0 project file`, '; ' + '-'.repeat( 52 ), '' ];
+	}
+	formatString( str ) {
+		// Binary "Name\x00\x01Class" pairs are written as "Class::Name" in text files
+		const sep = str.indexOf( '\x00\x01' );
+		if ( sep !== - 1 ) str = `${str.slice( sep + 2 )}::${str.slice( 0, sep )}`;
+		return `"${str.replace( /"/g, '&quot;' )}"`;
+	}
+	formatValue( v ) {
+		if ( typeof v === 'bigint' ) return v.toString();
+		if ( v instanceof Double || v instanceof Float || v instanceof Int32 ) v = v.value;
+		if ( typeof v === 'number' ) return Number.isFinite( v ) ? String( v ) : '0';
+		return String( v );
+	}
+	formatProperty( prop ) {
+		if ( typeof prop === 'boolean' ) return prop ? 'T' : 'F';
+		if ( typeof prop === 'string' ) return this.formatString( prop );
+		if ( prop instanceof FbxRaw ) {
+			let binary = '';
+			for ( let i = 0; i < prop.value.length; i += 0x8000 ) binary += String.fromCharCode.apply( null, prop.value.subarray( i, i + 0x8000 ) );
+			return `"${btoa( binary )}"`;
 		}
-		this.view.setBigUint64( startOffset, BigInt( this.offset ), true );
+		return this.formatValue( prop );
+	}
+	writeNode( node, depth = 0 ) {
+		const indent = '\t'.repeat( depth );
+		const props = node.properties;
+		if ( props.length === 1 && ( Array.isArray( props[ 0 ] ) || ArrayBuffer.isView( props[ 0 ] ) ) ) {
+			const arr = props[ 0 ];
+			// The weight and velocity slots of KeyAttrDataFloat are packed integers, which text files write as their bit pattern
+			const bits = node.name === 'KeyAttrDataFloat' ? new Int32Array( Float32Array.from( arr ).buffer ) : null;
+			this.lines.push( `${indent}${node.name}: *${arr.length} {`, `${indent}\ta: ${Array.from( arr, ( v, i ) => bits && i % 4 > 1 ? String( bits[ i ] ) : this.formatValue( v ) ).join( ',' )}`, `${indent}}` );
+			return;
+		}
+		if ( node.children.length > 0 || props.length === 0 || [ 'AnimationStack', 'AnimationLayer' ].includes( node.name ) ) {
+			this.beginNode( node, depth );
+			for ( let child of node.children ) this.writeNode( child, depth + 1 );
+			this.endNode( node, depth );
+		} else this.lines.push( this.formatHead( node, indent ) );
+	}
+	formatHead( node, indent ) {
+		const props = node.properties;
+		if ( props.length === 1 && props[ 0 ] instanceof FbxRaw ) return `${indent}${node.name}: ,\n${indent}\t${this.formatProperty( props[ 0 ] )}`;
+		return `${indent}${node.name}: ${props.map( p => this.formatProperty( p ) ).join( ', ' )}`;
+	}
+	beginNode( node, depth = 0 ) {
+		this.lines.push( `${this.formatHead( node, '\t'.repeat( depth ) )} {` );
+		return depth;
+	}
+	endNode( node, depth ) { this.lines.push( `${'\t'.repeat( depth )}}` ); }
+	getBlob() { return new Blob( [ this.lines.join( '\n' ) + '\n' ], { type: 'text/plain' } ); }
+}
+
+// Built-in plugin that skips SkeletonHelpers and meshes named like rig helpers; exporter.unregister( FBXExporter.helperFilter ) exports them
+class FBXHelperFilter {
+	constructor( context ) {
+		this.name = 'helperFilter';
+		this.context = context;
+	}
+	filterObject( obj ) {
+		if ( obj.isSkeletonHelper || obj.type === 'SkeletonHelper' ) return false;
+		// Skinned meshes exported with their skin are kept whatever their name
+		const isSkinned = this.context.options.exportSkin !== false && obj.isSkinnedMesh && obj.skeleton;
+		if ( obj.isMesh && ! obj.isInstancedMesh && ! isSkinned && /^(mesh_\d+|widget|handle|helper|bonevis)/i.test( obj.name || '' ) ) return false;
+		return true;
 	}
-	getBlob() { return new Blob( [ this.buffer.slice( 0, this.offset ) ], { type: 'application/octet-stream' } ); }
 }
 
 export class FBXExporter {
 
+	static helperFilter = context => new FBXHelperFilter( context );
+
+	constructor() {
+		this.pluginCallbacks = [];
+		this.register( FBXExporter.helperFilter );
+	}
+
+	// Plugins are created per parse as callback( context ) and may implement beforeParse( root ), filterObject( object ),
+	// writeModel( object, modelNode ), writeGeometry( mesh, geometryNode ), writeMaterial( material, materialNode ) and afterParse( root )
+	register( callback ) {
+		if ( ! this.pluginCallbacks.includes( callback ) ) this.pluginCallbacks.push( callback );
+		return this;
+	}
+
+	unregister( callback ) {
+		if ( this.pluginCallbacks.includes( callback ) ) this.pluginCallbacks.splice( this.pluginCallbacks.indexOf( callback ), 1 );
+		return this;
+	}
+
 	static async export( scene, animations = [], options = {} ) {
 		const exporter = new FBXExporter();
 		if ( ! Array.isArray( animations ) && typeof animations === 'object' ) {
@@ -191,14 +964,98 @@ export class FBXExporter {
 		return exporter.parse( scene, options, animations );
 	}
 
+	// Runs parse() in a Web Worker (FBXExporterWorker.js) and resolves to an ArrayBuffer, or { fbx, images } for external images.
+	// Functions other than onProgress cannot cross into the worker, so imageEncoder, exportUserData filters and plugins are not available here
+	parseInWorker( inputRoot, options = {}, worker = null ) {
+		const { onProgress, signal, imageEncoder, animations = [], ...workerOptions } = options;
+		if ( imageEncoder ) console.warn( 'FBXExporter: imageEncoder is ignored by parseInWorker.' );
+		if ( this.pluginCallbacks.length !== 1 || this.pluginCallbacks[ 0 ] !== FBXExporter.helperFilter ) console.warn( 'FBXExporter: Registered plugins do not run in parseInWorker; the worker uses the default plugins.' );
+		if ( typeof workerOptions.exportUserData === 'function' ) {
+			console.warn( 'FBXExporter: An exportUserData filter cannot run in a worker; userData is not exported by parseInWorker.' );
+			workerOptions.exportUserData = false;
+		}
+		const ownWorker = ! worker;
+		if ( ownWorker ) worker = new Worker( new URL( './FBXExporterWorker.js', import.meta.url ), { type: 'module' } );
+		return new Promise( ( resolve, reject ) => {
+			const onAbort = () => worker.postMessage( { type: 'abort' } );
+			const finish = () => { signal?.removeEventListener( 'abort', onAbort ); if ( ownWorker ) worker.terminate(); };
+			worker.onmessage = ( { data } ) => {
+				if ( data.type === 'progress' ) { if ( onProgress ) onProgress( { phase: data.phase, completed: data.completed, total: data.total } ); return; }
+				finish();
+				if ( data.type === 'done' ) resolve( data.images ? { fbx: data.buffer, images: data.images } : data.buffer );
+				else reject( Object.assign( new Error( data.message ), { name: data.name } ) );
+			};
+			worker.onerror = error => { finish(); reject( error ); };
+			if ( signal?.aborted ) { finish(); reject( signal.reason ); return; }
+			signal?.addEventListener( 'abort', onAbort );
+			try {
+				const { scene, animations: clips, transfer } = serializeForWorker( inputRoot, animations );
+				worker.postMessage( { scene, animations: clips, options: workerOptions }, transfer );
+			} catch ( error ) { finish(); reject( error ); }
+		} );
+	}
+
 	async parse( inputRoot, options = {}, externalAnimations = [] ) {
-		const { exportSkin = true, exportMaterials = true, onlyVisible = true, embedImages = true, maxTextureSize = Infinity, scale = 100.0, animations = externalAnimations } = options;
+		if ( options.preset !== undefined && ! AXIS_PRESETS[ options.preset ] ) throw new Error( `FBXExporter: Unknown preset "${options.preset}". Expected one of ${Object.keys( AXIS_PRESETS ).join( ', ' )}.` );
+		const settings = { ...AXIS_PRESETS[ options.preset ], ...options };
+		if ( settings.unit !== undefined && ! UNIT_SCALES[ settings.unit ] ) throw new Error( `FBXExporter: Unknown unit "${settings.unit}". Expected one of ${Object.keys( UNIT_SCALES ).join( ', ' )}.` );
+		const { exportSkin = true, exportMaterials = true, onlyVisible = true, embedImages = true, externalImages = false, texturePath = 'textures/', zip = false, fileName = 'scene.fbx', maxTextureSize = Infinity, unit, scale = unit ? UNIT_SCALES[ unit ] : 100.0, upAxis = '+Y', frontAxis = '+Z', handedness = 'right', format = 'binary', compress = false, imageEncoder = null, resampleFps = 0, reduceKeyframes = false, instanceColors = false, polygons = 'triangles', smoothing = false, weldVertices = false, exportUserData = false, onProgress = null, signal = null, version = FBX_VERSION, idMode = 'sequential', creationTime = new Date(), creator = DEFAULT_CREATOR, sceneInfo = {}, animations = externalAnimations } = settings;
+		if ( format !== 'binary' && format !== 'ascii' ) throw new Error( `FBXExporter: Unknown format "${format}". Expected "binary" or "ascii".` );
+		const nodeVersions = FBX_VERSIONS[ version ];
+		if ( ! nodeVersions ) throw new Error( `FBXExporter: Unsupported version ${version}. Expected one of ${Object.keys( FBX_VERSIONS ).join( ', ' )}.` );
+		if ( ! [ 'triangles', 'quads', 'ngons' ].includes( polygons ) ) throw new Error( `FBXExporter: Unknown polygons "${polygons}". Expected "triangles", "quads" or "ngons".` );
+		if ( ! [ false, 'edge', 'polygon' ].includes( smoothing ) ) throw new Error( `FBXExporter: Unknown smoothing "${smoothing}". Expected false, "edge" or "polygon".` );
+		if ( weldVertices !== false && weldVertices !== true && ! ( weldVertices > 0 ) ) throw new Error( `FBXExporter: Invalid weldVertices ${weldVertices}. Expected a boolean or a positive tolerance.` );
+		// Welds are computed once per BufferGeometry and shared by its geometry, skin and blend shape nodes
+		const welds = new Map();
+		const weldFor = geometry => {
+			if ( ! weldVertices ) return null;
+			if ( ! welds.has( geometry ) ) welds.set( geometry, weldControlPoints( geometry, weldVertices === true ? 1e-4 : weldVertices ) );
+			return welds.get( geometry );
+		};
+		if ( ! ID_MODES.includes( idMode ) ) throw new Error( `FBXExporter: Unknown idMode "${idMode}". Expected one of ${ID_MODES.join( ', ' )}.` );
+		const ids = createIdAllocator( idMode );
+		const axes = new AxisConversion( upAxis, frontAxis, handedness );
+		const report = createProgressReporter( onProgress, signal );
+		// geometryIds and meshMaterialIds are per mesh; shared BufferGeometries and materials map to the same node id
+		const modelIds = new Map(), geometryIds = new Map(), materialIds = new Map(), meshMaterialIds = new Map(), textureIds = new Map(), videoIds = new Map();
+		const sharedGeometryIds = new Map(), defaultMaterial = new THREE.MeshLambertMaterial( { color: 0x888888 } );
+		const deformerIds = new Map(), boneIds = new Map(), nodeAttributeIds = new Map(), morphChannels = new Map();
+		const clusterToSkins = new Map(), clusterToBones = new Map();
+		const objectsNode = new FbxNode( 'Objects' ), pluginConnections = [], corrections = new Map();
+		// Per-export state for the _export* methods: ID allocation, output settings and the ID maps filled in as objects are written
+		const state = { ids, axes, scale, nodeVersions, report, exportSkin, exportUserData, polygons, smoothing, weldFor, resampleFps, reduceKeyframes, modelIds, geometryIds, boneIds, morphChannels, corrections, clusterToSkins, clusterToBones };
+		// Plugins get the objects under construction, ID allocation and a way to add connections, as GLTFExporter plugins get the writer
+		const context = {
+			options: settings,
+			objects: objectsNode,
+			generateId: ids,
+			connect: ( childId, parentId, property ) => {
+				const c = new FbxNode( 'C' ).addProperty( property ? 'OP' : 'OO' ).addProperty( BigInt( childId ) ).addProperty( BigInt( parentId ) );
+				pluginConnections.push( property ? c.addProperty( property ) : c );
+			},
+			getModelId: object => modelIds.get( object ),
+			getGeometryId: mesh => geometryIds.get( mesh ),
+			getMaterialId: material => materialIds.get( material )
+		};
+		const plugins = this.pluginCallbacks.map( callback => callback( context ) );
+		const invoke = async ( hook, ...args ) => { for ( const plugin of plugins ) if ( plugin[ hook ] ) await plugin[ hook ]( ...args ); };
+		await invoke( 'beforeParse', inputRoot );
+		await report( 'traverse', 0, 1 );
 		inputRoot.updateMatrixWorld( true );
+		// External mode references image files next to the FBX instead of embedding them
+		const includeTextures = embedImages || externalImages;
 		const objects = [], materials = new Map(), textures = new Map(), skinnedMeshes = [], boneSet = new Set();
+		const collectMaterials = obj => {
+			if ( ! exportMaterials ) return;
+			const mats = Array.isArray( obj.material ) ? obj.material : [ obj.material ];
+			materials.set( obj, mats );
+			if ( includeTextures ) mats.forEach( m => TEXTURE_SLOTS.forEach( ( [ slot ] ) => { if ( m[ slot ]?.isTexture ) textures.set( m[ slot ].uuid, m[ slot ] ); } ) );
+		};
 		inputRoot.traverse( obj => {
 			if ( onlyVisible && ! obj.visible ) return;
 			if ( obj.userData?.export === false ) return;
-			if ( obj.isSkeletonHelper || obj.type === 'SkeletonHelper' ) return;
+			if ( plugins.some( plugin => plugin.filterObject && plugin.filterObject( obj ) === false ) ) return;
 			if ( obj.isGroup || obj.type === 'Group' || obj.isObject3D && ! obj.isMesh && ! obj.isBone && ! obj.isSkinnedMesh ) {
 				objects.push( obj );
 				return;
@@ -206,90 +1063,106 @@ export class FBXExporter {
 			if ( exportSkin && obj.isSkinnedMesh && obj.geometry?.attributes?.position && obj.skeleton ) {
 				skinnedMeshes.push( obj );
 				objects.push( obj );
-				if ( exportMaterials ) {
-					const mats = Array.isArray( obj.material ) ? obj.material : [ obj.material ];
-					materials.set( obj, mats );
-					if ( embedImages ) mats.forEach( m => { if ( m.map ) textures.set( m.map.uuid, m.map ); } );
-				}
+				collectMaterials( obj );
+				return;
+			}
+			// An InstancedMesh becomes a Null with one Mesh model per instance
+			if ( obj.isInstancedMesh ) {
+				objects.push( obj );
+				expandInstances( obj, instanceColors ).forEach( proxy => { objects.push( proxy ); collectMaterials( proxy ); } );
 				return;
 			}
 			if ( obj.isMesh ) {
-				if ( /^(mesh_\d+|widget|handle|helper|bonevis)/i.test( obj.name || '' ) ) return;
 				objects.push( obj );
-				if ( exportMaterials ) {
-					const mats = Array.isArray( obj.material ) ? obj.material : [ obj.material ];
-					materials.set( obj, mats );
-					if ( embedImages ) mats.forEach( m => { if ( m.map ) textures.set( m.map.uuid, m.map ); } );
-				}
+				collectMaterials( obj );
 			}
 		} );
 
-		let hasArmature = false;
-		if ( exportSkin && skinnedMeshes.length > 0 ) {
-			hasArmature = true;
-			skinnedMeshes.forEach( mesh => {
-				mesh.skeleton.bones.forEach( b => {
-					boneSet.add( b );
-					if ( ! objects.includes( b ) ) objects.push( b );
-				} );
+		await report( 'traverse', 1, 1 );
+		if ( exportSkin ) skinnedMeshes.forEach( mesh => mesh.skeleton.bones.forEach( b => {
+			boneSet.add( b );
+			if ( ! objects.includes( b ) ) objects.push( b );
+		} ) );
+		// Skeletons that share a bone form one rig. Root bones are grouped under one armature Null per rig and parent object, so each
+		// character (or skinned prop) gets its own armature even next to others, while meshes sharing a Skeleton, or a skeleton
+		// with several root bones, share one
+		const rigs = new Map(), boneRigs = new Map();
+		const findRig = skeleton => { while ( rigs.get( skeleton ) !== skeleton ) skeleton = rigs.get( skeleton ); return skeleton; };
+		if ( exportSkin ) skinnedMeshes.forEach( ( { skeleton } ) => {
+			if ( ! rigs.has( skeleton ) ) rigs.set( skeleton, skeleton );
+			skeleton.bones.forEach( b => {
+				if ( ! boneRigs.has( b ) ) boneRigs.set( b, skeleton );
+				const rig = findRig( boneRigs.get( b ) ), own = findRig( skeleton );
+				if ( rig !== own ) rigs.set( own, rig );
 			} );
-		}
-
-		const modelIds = new Map(), geometryIds = new Map(), materialIds = new Map(), textureIds = new Map(), videoIds = new Map();
-		const deformerIds = new Map(), boneIds = new Map(), nodeAttributeIds = new Map();
-		const clusterToSkins = new Map(), clusterToBones = new Map();
-		const armatureModelId = hasArmature ? generateId() : null;
-		const armatureNodeAttrId = hasArmature ? generateId() : null;
+		} );
+		const armatureKey = b => `${findRig( boneRigs.get( b ) ).uuid}/${( b.parent || b ).uuid}`;
+		const armatures = new Map();
+		boneSet.forEach( b => {
+			if ( boneSet.has( b.parent ) ) return;
+			const key = armatureKey( b );
+			if ( ! armatures.has( key ) ) armatures.set( key, { matrix: b.parent ? b.parent.matrixWorld.clone() : new THREE.Matrix4(), modelId: ids( key, 'Armature' ), attributeId: ids( key, 'ArmatureAttribute' ) } );
+		} );
 
 		objects.forEach( obj => {
-			if ( ! modelIds.has( obj ) ) modelIds.set( obj, generateId() );
+			if ( ! modelIds.has( obj ) ) modelIds.set( obj, ids( obj.uuid, 'Model' ) );
 			if ( obj.isBone ) boneIds.set( obj, modelIds.get( obj ) );
 		} );
-		if ( embedImages ) textures.forEach( tex => {
-			if ( ! textureIds.has( tex ) ) textureIds.set( tex, generateId() );
-			if ( ! videoIds.has( tex ) ) videoIds.set( tex, generateId() );
+		if ( includeTextures ) textures.forEach( tex => {
+			if ( ! textureIds.has( tex ) ) textureIds.set( tex, ids( tex.uuid, 'Texture' ) );
+			if ( ! videoIds.has( tex ) ) videoIds.set( tex, ids( tex.uuid, 'Video' ) );
 		} );
 
-		const objectsNode = new FbxNode( 'Objects' );
-		let armWorldMatrix = new THREE.Matrix4();
-		if ( armatureModelId ) {
-			let rootBoneParent = null;
-			if ( skinnedMeshes.length > 0 )
-				for ( const b of skinnedMeshes[ 0 ].skeleton.bones ) if ( ! b.parent || ! b.parent.isBone ) { rootBoneParent = b.parent; break; }
-			let armPos = new THREE.Vector3(), armQuat = new THREE.Quaternion(), armScale = new THREE.Vector3( 1, 1, 1 );
-			if ( rootBoneParent ) {
-				armWorldMatrix.copy( rootBoneParent.matrixWorld );
-				armWorldMatrix.decompose( armPos, armQuat, armScale );
-			}
+		[ ...armatures.values() ].forEach( ( armature, index ) => {
+			const armPos = new THREE.Vector3(), armQuat = new THREE.Quaternion(), armScale = new THREE.Vector3();
+			axes.transform( armature.matrix.clone() ).decompose( armPos, armQuat, armScale );
 			const armEuler = new THREE.Euler().setFromQuaternion( armQuat, 'XYZ' );
-			objectsNode.addChild( new FbxNode( 'Model' ).addProperty( BigInt( armatureModelId ) ).addProperty( nameWithClass( 'Armature', 'Model' ) ).addProperty( 'Null' )
-				.addChild( new FbxNode( 'Version' ).addProperty( 232 ) )
+			const name = index > 0 ? `Armature_${index}` : 'Armature';
+			objectsNode.addChild( new FbxNode( 'Model' ).addProperty( BigInt( armature.modelId ) ).addProperty( nameWithClass( name, 'Model' ) ).addProperty( 'Null' )
+				.addChild( new FbxNode( 'Version' ).addProperty( nodeVersions.model ) )
 				.addChild( new FbxNode( 'Properties70' )
 					.addChild( createP( 'Lcl Translation', 'Lcl Translation', '', 'A', [ armPos.x * scale, armPos.y * scale, armPos.z * scale ].map( v => new Double( v ) ) ) )
 					.addChild( createP( 'Lcl Rotation', 'Lcl Rotation', '', 'A', [ THREE.MathUtils.radToDeg( armEuler.x ), THREE.MathUtils.radToDeg( armEuler.y ), THREE.MathUtils.radToDeg( armEuler.z ) ].map( v => new Double( v ) ) ) )
 					.addChild( createP( 'Lcl Scaling', 'Lcl Scaling', '', 'A', [ armScale.x, armScale.y, armScale.z ].map( v => new Double( v ) ) ) )
 					.addChild( createP( 'InheritType', 'enum', '', '', 1 ) ) )
 				.addChild( new FbxNode( 'Shading' ).addProperty( true ) ).addChild( new FbxNode( 'Culling' ).addProperty( 'CullingOff' ) ) );
-			objectsNode.addChild( new FbxNode( 'NodeAttribute' ).addProperty( BigInt( armatureNodeAttrId ) ).addProperty( nameWithClass( 'Armature_Attr', 'NodeAttribute' ) ).addProperty( 'Null' ).addChild( new FbxNode( 'TypeFlags' ).addProperty( 'Null' ) ) );
-		}
+			objectsNode.addChild( new FbxNode( 'NodeAttribute' ).addProperty( BigInt( armature.attributeId ) ).addProperty( nameWithClass( `${name}_Attr`, 'NodeAttribute' ) ).addProperty( 'Null' ).addChild( new FbxNode( 'TypeFlags' ).addProperty( 'Null' ) ) );
+		} );
 
-		objects.forEach( obj => {
+		objects.forEach( obj => { const c = getAxisCorrection( obj ); if ( c ) corrections.set( obj, axes.correction( c ) ); } );
+
+		for ( const [ index, obj ] of objects.entries() ) {
 			const mid = modelIds.get( obj );
 			const isBone = obj.isBone;
-			const type = isBone ? 'LimbNode' : ( obj.isMesh ? 'Mesh' : 'Null' );
-			const model = new FbxNode( 'Model' ).addProperty( BigInt( mid ) ).addProperty( nameWithClass( obj.name || `${type}_${obj.id}`, 'Model' ) ).addProperty( type ).addChild( new FbxNode( 'Version' ).addProperty( 232 ) );
+			const isLight = obj.isLight && getLightType( obj ) !== undefined;
+			const isMesh = obj.isMesh && ! obj.isInstancedMesh;
+			const type = isBone ? 'LimbNode' : ( isMesh ? 'Mesh' : ( obj.isCamera ? 'Camera' : ( isLight ? 'Light' : 'Null' ) ) );
+			const model = new FbxNode( 'Model' ).addProperty( BigInt( mid ) ).addProperty( nameWithClass( obj.name || `${type}_${obj.id}`, 'Model' ) ).addProperty( type ).addChild( new FbxNode( 'Version' ).addProperty( nodeVersions.model ) );
 			const p70 = new FbxNode( 'Properties70' );
-			const t = obj.position, s = obj.scale;
+			let t = obj.position, quat = obj.quaternion, s = obj.scale;
+			if ( ! axes.isIdentity ) { t = axes.vector( t.clone() ); quat = axes.rotation( quat.clone() ); s = axes.scale( s.clone() ); }
+			const parentCorrection = corrections.get( obj.parent ), ownCorrection = corrections.get( obj );
+			if ( parentCorrection || ownCorrection ) {
+				const parentInv = parentCorrection ? parentCorrection.clone().invert() : new THREE.Quaternion();
+				t = t.clone().applyQuaternion( parentInv );
+				quat = parentInv.multiply( quat );
+				if ( ownCorrection ) quat.multiply( ownCorrection );
+			}
 			const td = obj.userData?.transformData;
 			const hasPreRotation = td && td.preRotation && ( Math.abs( td.preRotation[ 0 ] ) > 1e-6 || Math.abs( td.preRotation[ 1 ] ) > 1e-6 || Math.abs( td.preRotation[ 2 ] ) > 1e-6 );
 			const fbxEulerOrder = td?.eulerOrder || obj.rotation.order;
-			let lclRotDeg;
+			let lclRotDeg, preRotDeg;
 			if ( hasPreRotation ) {
 				const preRotRad = td.preRotation.map( THREE.MathUtils.degToRad );
-				const preRotQuat = new THREE.Quaternion().setFromEuler( new THREE.Euler( preRotRad[ 0 ], preRotRad[ 1 ], preRotRad[ 2 ], fbxEulerOrder ) );
-				const lclQuat = preRotQuat.clone().invert().multiply( obj.quaternion );
+				const preRotQuat = axes.rotation( new THREE.Quaternion().setFromEuler( new THREE.Euler( preRotRad[ 0 ], preRotRad[ 1 ], preRotRad[ 2 ], fbxEulerOrder ) ) );
+				const preRotEuler = new THREE.Euler().setFromQuaternion( preRotQuat, fbxEulerOrder );
+				preRotDeg = axes.isIdentity ? td.preRotation : [ preRotEuler.x, preRotEuler.y, preRotEuler.z ].map( THREE.MathUtils.radToDeg );
+				const lclQuat = preRotQuat.clone().invert().multiply( quat );
 				const lclEuler = new THREE.Euler().setFromQuaternion( lclQuat, fbxEulerOrder );
 				lclRotDeg = [ THREE.MathUtils.radToDeg( lclEuler.x ), THREE.MathUtils.radToDeg( lclEuler.y ), THREE.MathUtils.radToDeg( lclEuler.z ) ];
+			} else if ( quat !== obj.quaternion ) {
+				const lclEuler = new THREE.Euler().setFromQuaternion( quat, fbxEulerOrder );
+				lclRotDeg = [ THREE.MathUtils.radToDeg( lclEuler.x ), THREE.MathUtils.radToDeg( lclEuler.y ), THREE.MathUtils.radToDeg( lclEuler.z ) ];
 			} else {
 				const r = obj.rotation;
 				lclRotDeg = [ THREE.MathUtils.radToDeg( r.x ), THREE.MathUtils.radToDeg( r.y ), THREE.MathUtils.radToDeg( r.z ) ];
@@ -300,45 +1173,86 @@ export class FBXExporter {
 				.addChild( createP( 'RotationOrder', 'enum', '', '', getRotationOrder( fbxEulerOrder ) ) )
 				.addChild( createP( 'InheritType', 'enum', '', '', 1 ) );
 			if ( hasPreRotation ) {
-				p70.addChild( createP( 'PreRotation', 'Vector3D', 'Vector', '', td.preRotation.map( v => new Double( v ) ) ) );
+				p70.addChild( createP( 'PreRotation', 'Vector3D', 'Vector', '', preRotDeg.map( v => new Double( v ) ) ) );
 			}
 			if ( isBone ) {
 				p70.addChild( createP( 'RotationActive', 'bool', '', '', 1 ) );
 				p70.addChild( createP( 'SegmentScaleCompensate', 'bool', '', '', 1 ) );
 			}
+			if ( exportUserData ) addUserProperties( p70, obj, exportUserData );
 			model.addChild( p70 ).addChild( new FbxNode( 'Shading' ).addProperty( true ) ).addChild( new FbxNode( 'Culling' ).addProperty( 'CullingOff' ) );
 			objectsNode.addChild( model );
+			await invoke( 'writeModel', obj, model );
 			if ( isBone ) {
-				const naId = generateId();
+				const naId = ids( obj.uuid, 'NodeAttribute' );
 				nodeAttributeIds.set( obj, naId );
 				objectsNode.addChild( new FbxNode( 'NodeAttribute' ).addProperty( BigInt( naId ) ).addProperty( nameWithClass( obj.name || 'Bone', 'NodeAttribute' ) ).addProperty( 'LimbNode' ).addChild( new FbxNode( 'TypeFlags' ).addProperty( 'Skeleton' ) ) );
 			}
-			if ( obj.isMesh ) {
-				const gid = generateId();
+			if ( obj.isCamera || isLight ) {
+				const naId = ids( obj.uuid, 'NodeAttribute' );
+				nodeAttributeIds.set( obj, naId );
+				objectsNode.addChild( obj.isCamera ? this._exportCamera( obj, naId, state ) : this._exportLight( obj, naId, state ) );
+			}
+			if ( isMesh ) {
+				const mats = materials.get( obj ) || [ defaultMaterial ];
+				// Skins and blend shapes deform a single mesh, so only static geometry is shared between models
+				const shareable = ! ( exportSkin && obj.isSkinnedMesh ) && ! obj.geometry.morphAttributes?.position?.length;
+				const shareKey = `${obj.geometry.uuid}_${mats.length}`;
+				let gid = shareable ? sharedGeometryIds.get( shareKey ) : undefined;
+				if ( gid === undefined ) {
+					gid = ids( shareable ? shareKey : obj.uuid, 'Geometry' );
+					if ( shareable ) sharedGeometryIds.set( shareKey, gid );
+					const geometryNode = this._exportGeometry( obj, gid, mats.length, state );
+					objectsNode.addChild( geometryNode );
+					await invoke( 'writeGeometry', obj, geometryNode );
+				}
 				geometryIds.set( obj, gid );
-				const mats = materials.get( obj ) || [ new THREE.MeshLambertMaterial( { color: 0x888888 } ) ];
-				const mIds = mats.map( () => generateId() );
-				mIds.forEach( ( id, i ) => materialIds.set( `${obj.id}_${i}`, id ) );
-				objectsNode.addChild( this._exportGeometry( obj, gid, scale, exportSkin ) );
-				mats.forEach( ( m, i ) => objectsNode.addChild( this._exportMaterial( m, mIds[ i ] ) ) );
+				const matIds = [];
+				for ( const m of mats ) {
+					if ( ! materialIds.has( m ) ) {
+						materialIds.set( m, ids( m === defaultMaterial ? 'DefaultMaterial' : m.uuid, 'Material' ) );
+						const materialNode = this._exportMaterial( m, materialIds.get( m ), state );
+						objectsNode.addChild( materialNode );
+						await invoke( 'writeMaterial', m, materialNode );
+					}
+					matIds.push( materialIds.get( m ) );
+				}
+				meshMaterialIds.set( obj, matIds );
+				const morphResult = this._exportMorphTargets( obj, gid, state );
+				if ( morphResult ) {
+					morphResult.nodes.forEach( n => objectsNode.addChild( n ) );
+					morphChannels.set( obj, morphResult );
+				}
 			}
-		} );
+			await report( 'geometry', index + 1, objects.length );
+		}
 
-		const validTextureIds = new Set();
-		if ( embedImages ) textures.forEach( ( tex, uuid ) => {
-			const vid = videoIds.get( tex ), tid = textureIds.get( tex ), bytes = getDataFromImage( tex.image, maxTextureSize );
-			if ( bytes ) {
+		const validTextureIds = new Set(), imageFiles = [], usedFileNames = new Set();
+		let texturesDone = 0;
+		if ( includeTextures ) for ( const [ uuid, tex ] of textures ) {
+			await report( 'texture', texturesDone ++, textures.size );
+			const vid = videoIds.get( tex ), tid = textureIds.get( tex ), imageData = await getTextureData( tex, maxTextureSize, imageEncoder );
+			if ( imageData ) {
+				const bytes = imageData.bytes;
 				validTextureIds.add( tid );
 				let rawName = ( tex.name || 'Texture' ).replace( /[^a-zA-Z0-9]/g, '_' );
 				if ( ! rawName ) rawName = `Texture_${uuid}`;
-				const fileName = `${rawName}.png`;
-				objectsNode.addChild( new FbxNode( 'Video' ).addProperty( BigInt( vid ) ).addProperty( nameWithClass( 'Video', 'Video' ) ).addProperty( 'Clip' ).addChild( new FbxNode( 'Type' ).addProperty( 'Clip' ) ).addChild( new FbxNode( 'Properties70' ).addChild( createP( 'Path', 'KString', 'XRefUrl', '', '' ) ) ).addChild( new FbxNode( 'UseUserData' ).addProperty( 0 ) ).addChild( new FbxNode( 'Content' ).addProperty( new FbxRaw( bytes ) ) ).addChild( new FbxNode( 'Filename' ).addProperty( fileName ) ).addChild( new FbxNode( 'RelativeFilename' ).addProperty( fileName ) ) );
-				objectsNode.addChild( new FbxNode( 'Texture' ).addProperty( BigInt( tid ) ).addProperty( nameWithClass( rawName, 'Texture' ) ).addProperty( '' ).addChild( new FbxNode( 'Type' ).addProperty( 'TextureVideoClip' ) ).addChild( new FbxNode( 'Version' ).addProperty( 202 ) ).addChild( new FbxNode( 'TextureName' ).addProperty( nameWithClass( rawName, 'Texture' ) ) ).addChild( new FbxNode( 'Media' ).addProperty( nameWithClass( 'Video', 'Video' ) ) ).addChild( new FbxNode( 'FileName' ).addProperty( fileName ) ).addChild( new FbxNode( 'RelativeFilename' ).addProperty( fileName ) ).addChild( new FbxNode( 'Properties70' ).addChild( createP( 'UseMaterial', 'bool', '', '', 1 ) ).addChild( createP( 'UseMipMap', 'bool', '', '', 0 ) ) ) );
+				let imageName = `${rawName}.${imageData.extension}`;
+				for ( let n = 1; usedFileNames.has( imageName ); n ++ ) imageName = `${rawName}_${n}.${imageData.extension}`;
+				usedFileNames.add( imageName );
+				const path = externalImages ? `${texturePath}${imageName}` : imageName;
+				if ( externalImages ) imageFiles.push( { path, data: bytes } );
+				const video = new FbxNode( 'Video' ).addProperty( BigInt( vid ) ).addProperty( nameWithClass( 'Video', 'Video' ) ).addProperty( 'Clip' ).addChild( new FbxNode( 'Type' ).addProperty( 'Clip' ) ).addChild( new FbxNode( 'Properties70' ).addChild( createP( 'Path', 'KString', 'XRefUrl', '', externalImages ? path : '' ) ) ).addChild( new FbxNode( 'UseUserData' ).addProperty( 0 ) );
+				if ( ! externalImages ) video.addChild( new FbxNode( 'Content' ).addProperty( new FbxRaw( bytes ) ) );
+				objectsNode.addChild( video.addChild( new FbxNode( 'Filename' ).addProperty( path ) ).addChild( new FbxNode( 'RelativeFilename' ).addProperty( path ) ) );
+				objectsNode.addChild( new FbxNode( 'Texture' ).addProperty( BigInt( tid ) ).addProperty( nameWithClass( rawName, 'Texture' ) ).addProperty( '' ).addChild( new FbxNode( 'Type' ).addProperty( 'TextureVideoClip' ) ).addChild( new FbxNode( 'Version' ).addProperty( 202 ) ).addChild( new FbxNode( 'TextureName' ).addProperty( nameWithClass( rawName, 'Texture' ) ) ).addChild( new FbxNode( 'Media' ).addProperty( nameWithClass( 'Video', 'Video' ) ) ).addChild( new FbxNode( 'FileName' ).addProperty( path ) ).addChild( new FbxNode( 'RelativeFilename' ).addProperty( path ) ).addChild( new FbxNode( 'Properties70' ).addChild( createP( 'UseMaterial', 'bool', '', '', 1 ) ).addChild( createP( 'UseMipMap', 'bool', '', '', 0 ) ) ) );
 			}
-		} );
+		}
 
+		// A single bind pose covers the scene: armatures, skinned meshes, and each bone once even when several meshes share it
+		const poseMatrices = new Map( [ ...armatures.values() ].map( armature => [ armature.modelId, armature.matrix ] ) );
 		if ( exportSkin ) {
-			for ( const mesh of skinnedMeshes ) {
+			for ( const [ index, mesh ] of skinnedMeshes.entries() ) {
 				// [FIX] Use bindMatrix (Rest Pose) instead of matrixWorld (Animated Pose)
 				// If bindMatrix doesn't exist (unlikely for SkinnedMesh), fallback to matrixWorld
 				const meshBindGlobal = mesh.bindMatrix ? mesh.bindMatrix.clone() : mesh.matrixWorld.clone();
@@ -360,137 +1274,386 @@ export class FBXExporter {
 					boneBindGlobals.set( bone, globalBoneMatrix );
 				});
 
-				const skinResult = this._exportSkin( mesh, modelIds.get( mesh ), geometryIds.get( mesh ), boneIds, clusterToSkins, clusterToBones, meshBindGlobal, boneBindGlobals, scale );
+				const skinResult = this._exportSkin( mesh, meshBindGlobal, boneBindGlobals, state );
 				if ( skinResult ) {
 					objectsNode.addChild( skinResult.skinNode );
 					skinResult.clusters.forEach( c => objectsNode.addChild( c ) );
 					deformerIds.set( mesh, skinResult.skinId );
-					// Pass the calculated Rest Poses to _exportBindPose
-					objectsNode.addChild( this._exportBindPose( modelIds.get( mesh ), Array.from( boneSet ), modelIds, meshBindGlobal, boneBindGlobals, armatureModelId, armWorldMatrix, scale ) );
+					poseMatrices.set( modelIds.get( mesh ), meshBindGlobal );
+					boneBindGlobals.forEach( ( matrix, bone ) => { if ( ! poseMatrices.has( boneIds.get( bone ) ) ) poseMatrices.set( boneIds.get( bone ), matrix ); } );
 				}
+				await report( 'skin', index + 1, skinnedMeshes.length );
 			}
 		}
+		if ( deformerIds.size > 0 ) objectsNode.addChild( this._exportBindPose( poseMatrices, state ) );
 
-		const { animNodes, animConnections, stackIds, layerIds } = this._exportAnimations( animations, boneIds, scale );
+		const { animNodes, animConnections, stackIds, layerIds } = await this._exportAnimations( animations, inputRoot, state );
 		animNodes.forEach( n => objectsNode.addChild( n ) );
-		const headerExt = this._generateHeader();
-		const globalSettings = this._generateGlobalSettings();
-		const docNode = this._generateDocument( stackIds, animations );
-		const definitions = this._generateDefinitions( objects.length + ( armatureModelId ? 1 : 0 ), geometryIds.size, materialIds.size, textureIds.size, videoIds.size, deformerIds.size, stackIds.length );
+		// Objects added here are still counted in Definitions
+		await invoke( 'afterParse', inputRoot );
+		const headerExt = this._generateHeader( version, { creationTime, creator, sceneInfo, fileName } );
+		const globalSettings = this._generateGlobalSettings( state );
+		const docNode = this._generateDocument( stackIds, animations, state );
+		const definitions = this._generateDefinitions( objectsNode );
 		const connections = new FbxNode( 'Connections' );
 		objects.forEach( obj => {
 			const id = modelIds.get( obj );
 			if ( ! id ) return;
 			let parentId = 0n;
-			const isRootBone = obj.isBone && ( ! obj.parent || ! obj.parent.isBone );
-			if ( armatureModelId && isRootBone ) parentId = BigInt( armatureModelId );
+			const armature = obj.isBone && ! boneSet.has( obj.parent ) ? armatures.get( armatureKey( obj ) ) : null;
+			if ( armature ) parentId = BigInt( armature.modelId );
 			else if ( obj.parent && modelIds.has( obj.parent ) ) parentId = BigInt( modelIds.get( obj.parent ) );
 			connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( id ) ).addProperty( parentId ) );
 		} );
-		if ( armatureModelId ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( armatureModelId ) ).addProperty( 0n ) );
-		if ( armatureModelId && armatureNodeAttrId ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( armatureNodeAttrId ) ).addProperty( BigInt( armatureModelId ) ) );
-		nodeAttributeIds.forEach( ( naId, bone ) => { const mid = modelIds.get( bone ); if ( mid ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( naId ) ).addProperty( BigInt( mid ) ) ); } );
+		armatures.forEach( armature => {
+			connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( armature.modelId ) ).addProperty( 0n ) );
+			connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( armature.attributeId ) ).addProperty( BigInt( armature.modelId ) ) );
+		} );
+		nodeAttributeIds.forEach( ( naId, obj ) => { const mid = modelIds.get( obj ); if ( mid ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( naId ) ).addProperty( BigInt( mid ) ) ); } );
 		geometryIds.forEach( ( gid, obj ) => { const mid = modelIds.get( obj ); if ( mid ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( gid ) ).addProperty( BigInt( mid ) ) ); } );
-		materialIds.forEach( ( matId, key ) => { const [ objId ] = key.split( '_' ); const obj = [ ...modelIds.keys() ].find( o => o.id === parseInt( objId ) ); const mid = obj ? modelIds.get( obj ) : null; if ( mid ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( matId ) ).addProperty( BigInt( mid ) ) ); } );
+		meshMaterialIds.forEach( ( ids, obj ) => { const mid = modelIds.get( obj ); if ( mid ) ids.forEach( matId => connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( matId ) ).addProperty( BigInt( mid ) ) ) ); } );
 		deformerIds.forEach( ( skinId, obj ) => { const gid = geometryIds.get( obj ); if ( gid ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( skinId ) ).addProperty( BigInt( gid ) ) ); } );
 		clusterToSkins.forEach( ( skinId, clusterId ) => connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( clusterId ) ).addProperty( BigInt( skinId ) ) ) );
 		clusterToBones.forEach( ( boneId, clusterId ) => connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( boneId ) ).addProperty( BigInt( clusterId ) ) ) );
-		if ( embedImages ) textures.forEach( ( tex, uuid ) => {
+		morphChannels.forEach( ( morph, obj ) => {
+			connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( morph.blendShapeId ) ).addProperty( BigInt( geometryIds.get( obj ) ) ) );
+			morph.channels.forEach( ch => {
+				connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( ch.channelId ) ).addProperty( BigInt( morph.blendShapeId ) ) );
+				connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( ch.shapeId ) ).addProperty( BigInt( ch.channelId ) ) );
+			} );
+		} );
+		if ( includeTextures ) textures.forEach( ( tex, uuid ) => {
 			const vid = videoIds.get( tex ), tid = textureIds.get( tex );
 			if ( vid && tid && validTextureIds.has( tid ) ) {
 				connections.addChild( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( vid ) ).addProperty( BigInt( tid ) ) );
-				materials.forEach( ( mats, obj ) => { mats.forEach( ( m, i ) => { if ( m.map === tex ) { const matId = materialIds.get( `${obj.id}_${i}` ); if ( matId ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OP' ).addProperty( BigInt( tid ) ).addProperty( BigInt( matId ) ).addProperty( 'DiffuseColor' ) ); } } ); } );
+				materialIds.forEach( ( matId, m ) => TEXTURE_SLOTS.forEach( ( [ slot, fbxProp ] ) => { if ( m[ slot ] === tex ) connections.addChild( new FbxNode( 'C' ).addProperty( 'OP' ).addProperty( BigInt( tid ) ).addProperty( BigInt( matId ) ).addProperty( fbxProp ) ); } ) );
 			}
 		} );
 		if ( animConnections ) animConnections.forEach( c => connections.addChild( c ) );
+		pluginConnections.forEach( c => connections.addChild( c ) );
 		const rootNodes = [ headerExt, globalSettings, new FbxNode( 'Documents' ).addChild( new FbxNode( 'Count' ).addProperty( 1 ) ).addChild( docNode ), new FbxNode( 'References' ), definitions, objectsNode, connections ];
-		const writer = new BinaryWriter();
+		const blob = format === 'ascii' ? await this._writeAscii( rootNodes, report, version ) : await this._writeBinary( rootNodes, compress === true ? 128 : ( typeof compress === 'number' ? compress : Infinity ), report, version, creator );
+		if ( ! externalImages ) return blob;
+		if ( ! zip ) return { fbx: blob, images: imageFiles };
+		// Images are already compressed; store them and only deflate the FBX itself
+		const entries = { [ fileName ]: [ new Uint8Array( await blob.arrayBuffer() ), { level: 6 } ] };
+		imageFiles.forEach( f => entries[ f.path ] = [ f.data, { level: 0 } ] );
+		return new Blob( [ fflate.zipSync( entries ) ], { type: 'application/zip' } );
+	}
+	async _writeNodes( writer, rootNodes, report ) {
+		// Objects holds nearly all of the data, so it is written one child at a time
+		for ( let node of rootNodes ) {
+			if ( node.name !== 'Objects' ) { writer.writeNode( node ); continue; }
+			const start = writer.beginNode( node );
+			for ( const [ index, child ] of node.children.entries() ) {
+				writer.writeNode( child, 1 );
+				await report( 'write', index + 1, node.children.length );
+			}
+			writer.endNode( node, start );
+		}
+	}
+	async _writeAscii( rootNodes, report = () => {}, version = FBX_VERSION ) {
+		// FileId, CreationTime and Creator are binary-only top-level records; text files keep the Creator in the header extension
+		const writer = new AsciiWriter( version );
+		await this._writeNodes( writer, rootNodes, report );
+		return writer.getBlob();
+	}
+	async _writeBinary( rootNodes, compressThreshold, report = () => {}, version = FBX_VERSION, creator = DEFAULT_CREATOR ) {
+		const writer = new BinaryWriter( undefined, compressThreshold, FBX_VERSIONS[ version ].offsetSize );
 		for ( let i = 0; i < MAGIC_HEADER.length; i ++ ) writer.writeUint8( MAGIC_HEADER.charCodeAt( i ) );
-		writer.writeUint8( 26 ); writer.writeUint8( 0 ); writer.writeUint32( FBX_VERSION );
-		const implicitRoot = new FbxNode( '' ).addChild( new FbxNode( 'FileId' ).addProperty( new FbxRaw( _FILE_ID ) ) ).addChild( new FbxNode( 'CreationTime' ).addProperty( _TIME_ID ) ).addChild( new FbxNode( 'Creator' ).addProperty( 'Three.js FBX Exporter' ) );
+		writer.writeUint8( 26 ); writer.writeUint8( 0 ); writer.writeUint32( version );
+		const implicitRoot = new FbxNode( '' ).addChild( new FbxNode( 'FileId' ).addProperty( new FbxRaw( _FILE_ID ) ) ).addChild( new FbxNode( 'CreationTime' ).addProperty( _TIME_ID ) ).addChild( new FbxNode( 'Creator' ).addProperty( creator ) );
 		for ( let i = 0; i < rootNodes.length; i ++ ) implicitRoot.addChild( rootNodes[ i ] );
-		for ( let child of implicitRoot.children ) writer.writeNode( child );
-		writer.writeBigUint64( 0n ); writer.writeBigUint64( 0n ); writer.writeBigUint64( 0n ); writer.writeUint8( 0 );
+		await this._writeNodes( writer, implicitRoot.children, report );
+		// The footer layout is the same for all targets apart from the version number
+		writer.writeNullRecord();
 		const footerId = [ 0xFA, 0xBC, 0xAB, 0x09, 0xD0, 0xC8, 0xD4, 0x66, 0xB1, 0x76, 0xFB, 0x83, 0x1C, 0xF7, 0x26, 0x7E ];
 		for ( let b of footerId ) writer.writeUint8( b );
 		for ( let i = 0; i < 4; i ++ ) writer.writeUint8( 0 );
 		const p = ( ( writer.offset + 15 ) & ~ 15 ) - writer.offset || 16;
 		for ( let i = 0; i < p; i ++ ) writer.writeUint8( 0 );
-		writer.writeInt32( FBX_VERSION );
+		writer.writeInt32( version );
 		for ( let i = 0; i < 120; i ++ ) writer.writeUint8( 0 );
 		const footerMagic = [ 0xF8, 0x5A, 0x8C, 0x6A, 0xDE, 0xF5, 0xD9, 0x7E, 0xEC, 0xE9, 0x0C, 0xE3, 0x75, 0x8F, 0x29, 0x0B ];
 		for ( let b of footerMagic ) writer.writeUint8( b );
 		return writer.getBlob();
 	}
-	_generateHeader() {
-		return new FbxNode( 'FBXHeaderExtension' ).addChild( new FbxNode( 'FBXHeaderVersion' ).addProperty( 1003 ) ).addChild( new FbxNode( 'FBXVersion' ).addProperty( FBX_VERSION ) ).addChild( new FbxNode( 'CreationTimeStamp' ).addChild( new FbxNode( 'Version' ).addProperty( 1000 ) ).addChild( new FbxNode( 'Year' ).addProperty( 2025 ) ).addChild( new FbxNode( 'Month' ).addProperty( 1 ) ).addChild( new FbxNode( 'Day' ).addProperty( 1 ) ) ).addChild( new FbxNode( 'SceneInfo' ).addProperty( nameWithClass( 'GlobalInfo', 'SceneInfo' ) ).addProperty( 'UserData' ).addChild( new FbxNode( 'Type' ).addProperty( 'UserData' ) ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) ) );
+	_generateHeader( version = FBX_VERSION, { creationTime = new Date(), creator = DEFAULT_CREATOR, sceneInfo = {}, fileName = 'scene.fbx' } = {} ) {
+		// Times are written in UTC so the same creationTime gives the same file on every machine
+		const time = new Date( creationTime ), pad = ( v, n = 2 ) => String( v ).padStart( n, '0' );
+		const stamp = new FbxNode( 'CreationTimeStamp' ).addChild( new FbxNode( 'Version' ).addProperty( 1000 ) );
+		[ [ 'Year', time.getUTCFullYear() ], [ 'Month', time.getUTCMonth() + 1 ], [ 'Day', time.getUTCDate() ], [ 'Hour', time.getUTCHours() ], [ 'Minute', time.getUTCMinutes() ], [ 'Second', time.getUTCSeconds() ], [ 'Millisecond', time.getUTCMilliseconds() ] ].forEach( ( [ name, value ] ) => stamp.addChild( new FbxNode( name ).addProperty( value ) ) );
+		const dateTime = `${pad( time.getUTCDate() )}/${pad( time.getUTCMonth() + 1 )}/${time.getUTCFullYear()} ${pad( time.getUTCHours() )}:${pad( time.getUTCMinutes() )}:${pad( time.getUTCSeconds() )}.${pad( time.getUTCMilliseconds(), 3 )}`;
+		const { title = '', subject = '', author = '', keywords = '', revision = '', comment = '', applicationVendor = 'three.js', applicationName = DEFAULT_CREATOR, applicationVersion = THREE.REVISION } = sceneInfo;
+		const metaData = new FbxNode( 'MetaData' ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) );
+		[ [ 'Title', title ], [ 'Subject', subject ], [ 'Author', author ], [ 'Keywords', keywords ], [ 'Revision', revision ], [ 'Comment', comment ] ].forEach( ( [ name, value ] ) => metaData.addChild( new FbxNode( name ).addProperty( String( value ) ) ) );
+		// Original and LastSaved are the same application, as the scene is written once
+		const p70 = new FbxNode( 'Properties70' ).addChild( createP( 'DocumentUrl', 'KString', 'Url', '', fileName ) ).addChild( createP( 'SrcDocumentUrl', 'KString', 'Url', '', fileName ) );
+		[ 'Original', 'LastSaved' ].forEach( group => {
+			p70.addChild( createP( group, 'Compound', '', '' ) )
+				.addChild( createP( `${group}|ApplicationVendor`, 'KString', '', '', String( applicationVendor ) ) ).addChild( createP( `${group}|ApplicationName`, 'KString', '', '', String( applicationName ) ) )
+				.addChild( createP( `${group}|ApplicationVersion`, 'KString', '', '', String( applicationVersion ) ) ).addChild( createP( `${group}|DateTime_GMT`, 'DateTime', '', '', dateTime ) );
+			if ( group === 'Original' ) p70.addChild( createP( 'Original|FileName', 'KString', '', '', fileName ) );
+		} );
+		const info = new FbxNode( 'SceneInfo' ).addProperty( nameWithClass( 'GlobalInfo', 'SceneInfo' ) ).addProperty( 'UserData' ).addChild( new FbxNode( 'Type' ).addProperty( 'UserData' ) ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) ).addChild( metaData ).addChild( p70 );
+		return new FbxNode( 'FBXHeaderExtension' ).addChild( new FbxNode( 'FBXHeaderVersion' ).addProperty( 1003 ) ).addChild( new FbxNode( 'FBXVersion' ).addProperty( version ) ).addChild( stamp ).addChild( new FbxNode( 'Creator' ).addProperty( creator ) ).addChild( info );
 	}
-	_generateGlobalSettings() {
-		return new FbxNode( 'GlobalSettings' ).addChild( new FbxNode( 'Version' ).addProperty( 1000 ) ).addChild( new FbxNode( 'Properties70' ).addChild( createP( 'UpAxis', 'int', 'Integer', '', 1 ) ).addChild( createP( 'UpAxisSign', 'int', 'Integer', '', 1 ) ).addChild( createP( 'FrontAxis', 'int', 'Integer', '', 2 ) ).addChild( createP( 'FrontAxisSign', 'int', 'Integer', '', 1 ) ).addChild( createP( 'CoordAxis', 'int', 'Integer', '', 0 ) ).addChild( createP( 'CoordAxisSign', 'int', 'Integer', '', 1 ) ).addChild( createP( 'UnitScaleFactor', 'double', 'Number', '', new Double( 1.0 ) ) ) );
+	_generateGlobalSettings( { axes, scale } ) {
+		// UnitScaleFactor is centimeters per file unit; three.js meters are multiplied by scale on export
+		const unitScaleFactor = 100 / scale;
+		return new FbxNode( 'GlobalSettings' ).addChild( new FbxNode( 'Version' ).addProperty( 1000 ) ).addChild( axes.settings( new FbxNode( 'Properties70' ) ).addChild( createP( 'UnitScaleFactor', 'double', 'Number', '', new Double( unitScaleFactor ) ) ).addChild( createP( 'OriginalUnitScaleFactor', 'double', 'Number', '', new Double( unitScaleFactor ) ) ) );
 	}
-	_generateDocument( stackIds, clips ) {
+	_generateDocument( stackIds, clips, { ids } ) {
 		const props = new FbxNode( 'Properties70' ).addChild( createP( 'SourceObject', 'object', '', '' ) );
 		if ( stackIds.length > 0 && clips.length > 0 ) props.addChild( createP( 'ActiveAnimStackName', 'KString', '', '', clips[ 0 ].name || 'Anim_0' ) );
-		return new FbxNode( 'Document' ).addProperty( BigInt( generateId() ) ).addProperty( 'Document::Scene' ).addProperty( '' ).addChild( props ).addChild( new FbxNode( 'RootNode' ).addProperty( 0n ) );
+		return new FbxNode( 'Document' ).addProperty( ids( 'Document' ) ).addProperty( 'Document::Scene' ).addProperty( '' ).addChild( props ).addChild( new FbxNode( 'RootNode' ).addProperty( 0n ) );
 	}
-	_generateDefinitions( modelCount, geomCount, matCount, texCount, vidCount, skinCount, animCount ) {
-		const defs = new FbxNode( 'Definitions' ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) ).addChild( new FbxNode( 'Count' ).addProperty( new Int32( 7 ) ) );
-		const add = ( t, c ) => { if ( c > 0 ) defs.addChild( new FbxNode( 'ObjectType' ).addProperty( t ).addChild( new FbxNode( 'Count' ).addProperty( new Int32( c ) ) ) ); };
-		add( 'GlobalSettings', 1 ); add( 'Model', modelCount ); add( 'Geometry', geomCount ); add( 'Material', matCount ); add( 'Texture', texCount ); add( 'Video', vidCount ); add( 'Deformer', skinCount ); add( 'AnimationStack', animCount );
+	_generateDefinitions( objectsNode ) {
+		// Counts come from the objects actually written, in order of first appearance; GlobalSettings counts as one object
+		const counts = new Map( [ [ 'GlobalSettings', 1 ] ] );
+		objectsNode.children.forEach( node => counts.set( node.name, ( counts.get( node.name ) || 0 ) + 1 ) );
+		const isPhong = objectsNode.children.some( node => node.name === 'Material' && node.children.find( child => child.name === 'ShadingModel' )?.properties[ 0 ] === 'Phong' );
+		let total = 0;
+		counts.forEach( c => total += c );
+		const defs = new FbxNode( 'Definitions' ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) ).addChild( new FbxNode( 'Count' ).addProperty( new Int32( total ) ) );
+		counts.forEach( ( count, type ) => {
+			const objectType = new FbxNode( 'ObjectType' ).addProperty( type ).addChild( new FbxNode( 'Count' ).addProperty( new Int32( count ) ) );
+			const template = type === 'Material' && isPhong ? PHONG_TEMPLATE : PROPERTY_TEMPLATES[ type ];
+			if ( template ) {
+				const p70 = new FbxNode( 'Properties70' );
+				template[ 1 ].forEach( args => p70.addChild( createP( ...args ) ) );
+				objectType.addChild( new FbxNode( 'PropertyTemplate' ).addProperty( template[ 0 ] ).addChild( p70 ) );
+			}
+			defs.addChild( objectType );
+		} );
 		return defs;
 	}
-	_exportGeometry( mesh, geometryId, scale, exportSkin ) {
-		const geometry = mesh.geometry;
-		const vertices = Array.from( geometry.attributes.position.array ).map( v => new Double( v * scale ) );
-		let indices = geometry.index ? Array.from( geometry.index.array ) : Array.from( { length: geometry.attributes.position.count }, ( _, i ) => i );
-		indices = indices.map( ( i, idx ) => ( idx % 3 === 2 ? - ( i + 1 ) : i ) );
-		const node = new FbxNode( 'Geometry' ).addProperty( BigInt( geometryId ) ).addProperty( nameWithClass( mesh.name || 'Mesh', 'Geometry' ) ).addProperty( 'Mesh' ).addChild( new FbxNode( 'Vertices' ).addProperty( vertices ) ).addChild( new FbxNode( 'PolygonVertexIndex' ).addProperty( indices ) );
-		if ( geometry.attributes.normal ) {
-			const normals = []; const src = geometry.attributes.normal.array;
-			for ( let i = 0; i < indices.length; i ++ ) { let idx = indices[ i ]; if ( idx < 0 ) idx = - idx - 1; normals.push( new Double( src[ idx * 3 ] ), new Double( src[ idx * 3 + 1 ] ), new Double( src[ idx * 3 + 2 ] ) ); }
-			node.addChild( new FbxNode( 'LayerElementNormal' ).addProperty( 0 ).addChild( new FbxNode( 'Version' ).addProperty( 101 ) ).addChild( new FbxNode( 'MappingInformationType' ).addProperty( 'ByPolygonVertex' ) ).addChild( new FbxNode( 'ReferenceInformationType' ).addProperty( 'Direct' ) ).addChild( new FbxNode( 'Normals' ).addProperty( normals ) ) );
-		}
-		if ( geometry.attributes.uv ) {
-			const uvs = []; const src = geometry.attributes.uv.array;
-			for ( let i = 0; i < indices.length; i ++ ) { let idx = indices[ i ]; if ( idx < 0 ) idx = - idx - 1; uvs.push( new Double( src[ idx * 2 ] ), new Double( src[ idx * 2 + 1 ] ) ); }
-			node.addChild( new FbxNode( 'LayerElementUV' ).addProperty( 0 ).addChild( new FbxNode( 'Version' ).addProperty( 101 ) ).addChild( new FbxNode( 'Name' ).addProperty( 'map1' ) ).addChild( new FbxNode( 'MappingInformationType' ).addProperty( 'ByPolygonVertex' ) ).addChild( new FbxNode( 'ReferenceInformationType' ).addProperty( 'Direct' ) ).addChild( new FbxNode( 'UV' ).addProperty( uvs ) ) );
-		}
-		const matIndices = new Array( Math.floor( indices.length / 3 ) ).fill( 0 );
+	_exportGeometry( mesh, geometryId, materialCount, { scale, exportSkin, axes, nodeVersions, polygons, smoothing, weldFor } ) {
+		const geometry = mesh.geometry, position = geometry.attributes.position, v3 = new THREE.Vector3(), weld = weldFor( geometry );
+		// Bulk arrays are built as typed arrays so the binary writer can copy them in one go. Without welding every vertex is a control point
+		const pointCount = weld ? weld.vertices.length : position.count, vertices = new Float64Array( pointCount * 3 );
+		for ( let i = 0; i < pointCount; i ++ ) axes.vector( v3.fromBufferAttribute( position, weld ? weld.vertices[ i ] : i ) ).multiplyScalar( scale ).toArray( vertices, i * 3 );
+		const triangles = geometry.index ? Int32Array.from( geometry.index.array ) : new Int32Array( position.count ).map( ( _, i ) => i );
+		// Triangle material indices follow geometry.groups; each index selects the Nth material connected to the model
+		const triangleMaterials = new Int32Array( Math.floor( triangles.length / 3 ) );
+		if ( materialCount > 1 ) geometry.groups.forEach( group => {
+			const matIndex = Math.min( Math.max( group.materialIndex || 0, 0 ), materialCount - 1 );
+			const end = Math.min( triangleMaterials.length, Math.floor( ( group.start + group.count ) / 3 ) );
+			for ( let f = Math.floor( group.start / 3 ); f < end; f ++ ) triangleMaterials[ f ] = matIndex;
+		} );
+		// corners holds the vertex of each polygon corner, polygon after polygon
+		const { corners, sizes, materials: matIndices } = polygons === 'triangles'
+			? { corners: triangles.subarray( 0, triangleMaterials.length * 3 ), sizes: new Int32Array( triangleMaterials.length ).fill( 3 ), materials: triangleMaterials }
+			: mergeTriangles( geometry, triangles, triangleMaterials, polygons === 'quads' ? 4 : Infinity );
+		// A mirrored axis system reverses the winding, so each polygon's corners after the first are reversed to keep faces pointing out
+		if ( axes.mirrored ) for ( let p = 0, start = 0; p < sizes.length; start += sizes[ p ++ ] ) corners.subarray( start + 1, start + sizes[ p ] ).reverse();
+		// The last corner of each polygon is stored as -(index + 1)
+		const cornerPoints = weld ? corners.map( v => weld.controlPoints[ v ] ) : corners, indices = Int32Array.from( cornerPoints );
+		for ( let p = 0, end = 0; p < sizes.length; p ++ ) { end += sizes[ p ]; indices[ end - 1 ] = - ( indices[ end - 1 ] + 1 ); }
+		const node = new FbxNode( 'Geometry' ).addProperty( BigInt( geometryId ) ).addProperty( nameWithClass( mesh.name || 'Mesh', 'Geometry' ) ).addProperty( 'Mesh' ).addChild( new FbxNode( 'GeometryVersion' ).addProperty( nodeVersions.geometry ) ).addChild( new FbxNode( 'Vertices' ).addProperty( vertices ) ).addChild( new FbxNode( 'PolygonVertexIndex' ).addProperty( indices ) );
+		// Edges are written with polygon merging or smoothing; smoothing comes from normal discontinuities between polygons
+		const { normal, tangent, color } = geometry.attributes;
+		const n0 = new THREE.Vector3(), n1 = new THREE.Vector3();
+		const cornerNormal = normal ? ( k, m ) => n0.fromBufferAttribute( normal, corners[ k ] ).normalize().dot( n1.fromBufferAttribute( normal, corners[ m ] ).normalize() ) : null;
+		const edgeData = polygons !== 'triangles' || smoothing ? buildEdges( cornerPoints, sizes, cornerNormal, smoothing === 'polygon' ) : null;
+		if ( edgeData ) node.addChild( new FbxNode( 'Edges' ).addProperty( edgeData.edges ) );
+		// Every layer element is written ByPolygonVertex, so attributes are expanded to one entry per polygon corner;
+		// read( attr, vertex, out, offset ) writes the corner's components straight into the output array
+		const perCorner = ( attr, size, read ) => { const out = new Float64Array( corners.length * size ); for ( let k = 0; k < corners.length; k ++ ) read( attr, corners[ k ], out, k * size ); return out; };
+		const layerElement = ( type, index, version, name, arrayName, values ) => {
+			const element = new FbxNode( type ).addProperty( index ).addChild( new FbxNode( 'Version' ).addProperty( version ) );
+			if ( name !== null ) element.addChild( new FbxNode( 'Name' ).addProperty( name ) );
+			return element.addChild( new FbxNode( 'MappingInformationType' ).addProperty( 'ByPolygonVertex' ) ).addChild( new FbxNode( 'ReferenceInformationType' ).addProperty( 'Direct' ) ).addChild( new FbxNode( arrayName ).addProperty( values ) );
+		};
+		const direction = ( a, i, out, offset ) => axes.vector( v3.fromBufferAttribute( a, i ) ).toArray( out, offset );
+		if ( normal ) node.addChild( layerElement( 'LayerElementNormal', 0, 101, null, 'Normals', perCorner( normal, 3, direction ) ) );
+		// three.js tangents are xyz plus a handedness sign in w; FBX stores the binormal explicitly
+		if ( tangent && tangent.itemSize === 4 && normal ) {
+			node.addChild( layerElement( 'LayerElementTangent', 0, 102, '', 'Tangents', perCorner( tangent, 3, direction ) ) );
+			const t = new THREE.Vector3(), n = new THREE.Vector3();
+			node.addChild( layerElement( 'LayerElementBinormal', 0, 102, '', 'Binormals', perCorner( tangent, 3, ( a, i, out, offset ) => axes.vector( n.fromBufferAttribute( normal, i ).cross( t.fromBufferAttribute( a, i ) ).multiplyScalar( a.getW( i ) < 0 ? - 1 : 1 ) ).toArray( out, offset ) ) ) );
+		}
+		// Vertex colors are linear in three.js and sRGB in FBX
+		const c = new THREE.Color();
+		if ( color ) node.addChild( layerElement( 'LayerElementColor', 0, 101, '', 'Colors', perCorner( color, 4, ( a, i, out, offset ) => { c.setRGB( a.getX( i ), a.getY( i ), a.getZ( i ) ).convertLinearToSRGB().toArray( out, offset ); out[ offset + 3 ] = a.itemSize === 4 ? a.getW( i ) : 1; } ) ) );
+		// UV sets go to consecutive layers: uv is map1 on layer 0, uv1 is map2 on layer 1, and so on
+		const uvSets = [ 'uv', 'uv1', 'uv2', 'uv3' ].filter( name => geometry.attributes[ name ] );
+		uvSets.forEach( ( name, i ) => node.addChild( layerElement( 'LayerElementUV', i, 101, `map${i + 1}`, 'UV', perCorner( geometry.attributes[ name ], 2, ( a, v, out, offset ) => { out[ offset ] = a.getX( v ); out[ offset + 1 ] = a.getY( v ); } ) ) ) );
+		if ( edgeData && smoothing && normal ) node.addChild( new FbxNode( 'LayerElementSmoothing' ).addProperty( 0 ).addChild( new FbxNode( 'Version' ).addProperty( 102 ) ).addChild( new FbxNode( 'Name' ).addProperty( '' ) ).addChild( new FbxNode( 'MappingInformationType' ).addProperty( smoothing === 'polygon' ? 'ByPolygon' : 'ByEdge' ) ).addChild( new FbxNode( 'ReferenceInformationType' ).addProperty( 'Direct' ) ).addChild( new FbxNode( 'Smoothing' ).addProperty( edgeData.smoothing ) ) );
 		node.addChild( new FbxNode( 'LayerElementMaterial' ).addProperty( 0 ).addChild( new FbxNode( 'Version' ).addProperty( 101 ) ).addChild( new FbxNode( 'MappingInformationType' ).addProperty( 'ByPolygon' ) ).addChild( new FbxNode( 'ReferenceInformationType' ).addProperty( 'IndexToDirect' ) ).addChild( new FbxNode( 'Materials' ).addProperty( matIndices ) ) );
+		const layerRef = ( type, index ) => new FbxNode( 'LayerElement' ).addChild( new FbxNode( 'Type' ).addProperty( type ) ).addChild( new FbxNode( 'TypedIndex' ).addProperty( index ) );
 		const layer = new FbxNode( 'Layer' ).addProperty( 0 ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) );
-		if ( geometry.attributes.normal ) layer.addChild( new FbxNode( 'LayerElement' ).addChild( new FbxNode( 'Type' ).addProperty( 'LayerElementNormal' ) ).addChild( new FbxNode( 'TypedIndex' ).addProperty( 0 ) ) );
-		if ( geometry.attributes.uv ) layer.addChild( new FbxNode( 'LayerElement' ).addChild( new FbxNode( 'Type' ).addProperty( 'LayerElementUV' ) ).addChild( new FbxNode( 'TypedIndex' ).addProperty( 0 ) ) );
-		layer.addChild( new FbxNode( 'LayerElement' ).addChild( new FbxNode( 'Type' ).addProperty( 'LayerElementMaterial' ) ).addChild( new FbxNode( 'TypedIndex' ).addProperty( 0 ) ) );
+		if ( normal ) layer.addChild( layerRef( 'LayerElementNormal', 0 ) );
+		if ( tangent && tangent.itemSize === 4 && normal ) layer.addChild( layerRef( 'LayerElementTangent', 0 ) ).addChild( layerRef( 'LayerElementBinormal', 0 ) );
+		if ( color ) layer.addChild( layerRef( 'LayerElementColor', 0 ) );
+		if ( uvSets.length ) layer.addChild( layerRef( 'LayerElementUV', 0 ) );
+		if ( edgeData && smoothing && normal ) layer.addChild( layerRef( 'LayerElementSmoothing', 0 ) );
+		layer.addChild( layerRef( 'LayerElementMaterial', 0 ) );
 		node.addChild( layer );
+		for ( let i = 1; i < uvSets.length; i ++ ) node.addChild( new FbxNode( 'Layer' ).addProperty( i ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) ).addChild( layerRef( 'LayerElementUV', i ) ) );
 		if ( exportSkin && geometry.attributes.skinIndex && geometry.attributes.skinWeight && mesh.skeleton ) {
 			node.addChild( new FbxNode( 'VertexGroups' ).addProperty( mesh.skeleton.bones.map( b => normalizeMixamoName( b.name ) ) ) );
 		}
 		return node;
 	}
-	_exportMaterial( material, materialId ) {
+	_exportMaterial( material, materialId, { nodeVersions, exportUserData } ) {
 		const node = new FbxNode( 'Material' ).addProperty( BigInt( materialId ) ).addProperty( nameWithClass( material.name || 'Material', 'Material' ) ).addProperty( 'Material' );
-		node.addChild( new FbxNode( 'Version' ).addProperty( 102 ) ).addChild( new FbxNode( 'ShadingModel' ).addProperty( 'Lambert' ) ).addChild( new FbxNode( 'MultiLayer' ).addProperty( 0 ) );
+		const isLambert = material.isMeshLambertMaterial || material.isMeshBasicMaterial;
+		node.addChild( new FbxNode( 'Version' ).addProperty( nodeVersions.material ) ).addChild( new FbxNode( 'ShadingModel' ).addProperty( isLambert ? 'Lambert' : 'Phong' ) ).addChild( new FbxNode( 'MultiLayer' ).addProperty( 0 ) );
+		// FBX colors are sRGB; three.js keeps material colors in linear space
+		const toColor = c => { const srgb = c.clone().convertLinearToSRGB(); return [ new Double( srgb.r ), new Double( srgb.g ), new Double( srgb.b ) ]; };
 		const color = material.color || new THREE.Color( 0.5, 0.5, 0.5 );
-		const props = new FbxNode( 'Properties70' ).addChild( createP( 'DiffuseColor', 'ColorRGB', 'Color', 'A', [ new Double( color.r ), new Double( color.g ), new Double( color.b ) ] ) ).addChild( createP( 'TransparencyFactor', 'Number', '', 'A', new Double( 1.0 - ( material.opacity ?? 1.0 ) ) ) );
+		const emissive = material.emissive || new THREE.Color( 0, 0, 0 );
+		const opacity = material.opacity ?? 1.0;
+		const props = new FbxNode( 'Properties70' )
+			.addChild( createP( 'DiffuseColor', 'Color', '', 'A', toColor( color ) ) )
+			.addChild( createP( 'DiffuseFactor', 'Number', '', 'A', new Double( 1 ) ) )
+			.addChild( createP( 'EmissiveColor', 'Color', '', 'A', toColor( emissive ) ) )
+			.addChild( createP( 'EmissiveFactor', 'Number', '', 'A', new Double( material.emissiveIntensity ?? 1 ) ) )
+			.addChild( createP( 'AmbientColor', 'Color', '', 'A', [ new Double( 0 ), new Double( 0 ), new Double( 0 ) ] ) )
+			.addChild( createP( 'TransparentColor', 'Color', '', 'A', [ new Double( 1 ), new Double( 1 ), new Double( 1 ) ] ) )
+			.addChild( createP( 'TransparencyFactor', 'Number', '', 'A', new Double( 1.0 - opacity ) ) )
+			.addChild( createP( 'Opacity', 'Number', '', 'A', new Double( opacity ) ) );
+		if ( material.normalMap ) props.addChild( createP( 'NormalMap', 'Vector3D', 'Vector', '', [ new Double( 0 ), new Double( 0 ), new Double( 0 ) ] ) );
+		if ( material.bumpMap ) props.addChild( createP( 'BumpFactor', 'double', 'Number', '', new Double( material.bumpScale ?? 1 ) ) );
+		if ( ! isLambert ) {
+			let specular, specularFactor, shininess, reflection;
+			if ( material.isMeshStandardMaterial ) {
+				// Metal/rough to spec/gloss: metals tint the specular by the base color, smoother surfaces get a
+				// tighter highlight (the inverse of Blender's roughness = 1 - sqrt( shininess ) / 10 import mapping)
+				const metalness = material.metalness ?? 0, roughness = material.roughness ?? 1;
+				specular = new THREE.Color( 1, 1, 1 ).lerp( color, metalness );
+				// Blender imports specular as SpecularFactor * 2, so dielectrics land on its default of 0.5 and metals on 1
+				specularFactor = 0.25 + 0.25 * metalness;
+				shininess = Math.pow( ( 1 - roughness ) * 10, 2 );
+				reflection = metalness;
+			} else {
+				specular = material.specular || new THREE.Color( 0.2, 0.2, 0.2 );
+				specularFactor = 1;
+				shininess = material.shininess ?? 30;
+				reflection = material.reflectivity ?? 0;
+			}
+			props.addChild( createP( 'SpecularColor', 'Color', '', 'A', toColor( specular ) ) )
+				.addChild( createP( 'SpecularFactor', 'Number', '', 'A', new Double( specularFactor ) ) )
+				.addChild( createP( 'ShininessExponent', 'Number', '', 'A', new Double( shininess ) ) )
+				.addChild( createP( 'Shininess', 'Number', '', 'A', new Double( shininess ) ) )
+				.addChild( createP( 'ReflectionFactor', 'Number', '', 'A', new Double( reflection ) ) );
+		}
+		if ( exportUserData ) addUserProperties( props, material, exportUserData );
 		node.addChild( props );
 		return node;
 	}
-	_exportSkin( mesh, mid, gid, bIds, cToS, cToB, meshBind, boneBinds, scale ) {
+	_exportCamera( camera, attributeId, { scale } ) {
+		const props = new FbxNode( 'Properties70' );
+		if ( camera.isOrthographicCamera ) {
+			// FBXLoader rebuilds the frustum from the aspect extents; Blender and Maya read the ortho size (the larger extent) from OrthoZoom
+			const width = ( camera.right - camera.left ) / camera.zoom, height = ( camera.top - camera.bottom ) / camera.zoom;
+			props.addChild( createP( 'CameraProjectionType', 'enum', '', '', 1 ) )
+				.addChild( createP( 'AspectWidth', 'double', 'Number', '', new Double( width * scale ) ) )
+				.addChild( createP( 'AspectHeight', 'double', 'Number', '', new Double( height * scale ) ) )
+				.addChild( createP( 'OrthoZoom', 'double', 'Number', '', new Double( Math.max( width, height ) * scale ) ) );
+		} else {
+			// ApertureMode 2 (Vertical) so FieldOfView matches three.js' vertical fov. Applications that derive the fov from
+			// FocalLength need the film back it was computed for, which FBX stores in inches
+			props.addChild( createP( 'CameraProjectionType', 'enum', '', '', 0 ) )
+				.addChild( createP( 'ApertureMode', 'enum', '', '', 2 ) )
+				.addChild( createP( 'FieldOfView', 'FieldOfView', '', 'A', new Double( camera.fov ) ) )
+				.addChild( createP( 'FocalLength', 'Number', '', 'A', new Double( camera.getFocalLength() ) ) )
+				.addChild( createP( 'FilmWidth', 'double', 'Number', '', new Double( camera.getFilmWidth() / 25.4 ) ) )
+				.addChild( createP( 'FilmHeight', 'double', 'Number', '', new Double( camera.getFilmHeight() / 25.4 ) ) )
+				.addChild( createP( 'AspectWidth', 'double', 'Number', '', new Double( 1080 * camera.aspect ) ) )
+				.addChild( createP( 'AspectHeight', 'double', 'Number', '', new Double( 1080 ) ) );
+		}
+		props.addChild( createP( 'NearPlane', 'double', 'Number', '', new Double( camera.near * scale ) ) )
+			.addChild( createP( 'FarPlane', 'double', 'Number', '', new Double( camera.far * scale ) ) );
+		return new FbxNode( 'NodeAttribute' ).addProperty( BigInt( attributeId ) ).addProperty( nameWithClass( camera.name || 'Camera', 'NodeAttribute' ) ).addProperty( 'Camera' )
+			.addChild( props ).addChild( new FbxNode( 'TypeFlags' ).addProperty( 'Camera' ) ).addChild( new FbxNode( 'GeometryVersion' ).addProperty( 124 ) ).addChild( new FbxNode( 'CameraOrthoZoom' ).addProperty( new Double( 1 ) ) );
+	}
+	_exportLight( light, attributeId, { scale } ) {
+		// FBX stores light colors in sRGB and intensity as a percentage
+		const color = light.color.clone().convertLinearToSRGB();
+		const props = new FbxNode( 'Properties70' )
+			.addChild( createP( 'LightType', 'enum', '', '', getLightType( light ) ) )
+			.addChild( createP( 'Color', 'Color', '', 'A', [ new Double( color.r ), new Double( color.g ), new Double( color.b ) ] ) )
+			.addChild( createP( 'Intensity', 'Number', '', 'A', new Double( light.intensity * 100 ) ) )
+			.addChild( createP( 'CastLightOnObject', 'bool', '', '', 1 ) )
+			.addChild( createP( 'CastShadows', 'bool', '', '', light.castShadow ? 1 : 0 ) );
+		if ( light.isPointLight || light.isSpotLight ) {
+			const decay = light.decay >= 2 ? 2 : ( light.decay > 0 ? 1 : 0 );
+			props.addChild( createP( 'DecayType', 'enum', '', '', decay ) )
+				.addChild( createP( 'EnableFarAttenuation', 'bool', '', '', light.distance > 0 ? 1 : 0 ) )
+				.addChild( createP( 'FarAttenuationStart', 'double', 'Number', '', new Double( 0 ) ) )
+				.addChild( createP( 'FarAttenuationEnd', 'double', 'Number', '', new Double( light.distance * scale ) ) );
+		}
+		if ( light.isSpotLight ) {
+			// FBX cone angles are full angles in degrees; three.js uses a half angle plus penumbra
+			const outer = THREE.MathUtils.radToDeg( light.angle ) * 2;
+			props.addChild( createP( 'InnerAngle', 'Number', '', 'A', new Double( outer * ( 1 - light.penumbra ) ) ) )
+				.addChild( createP( 'OuterAngle', 'Number', '', 'A', new Double( outer ) ) );
+		}
+		return new FbxNode( 'NodeAttribute' ).addProperty( BigInt( attributeId ) ).addProperty( nameWithClass( light.name || 'Light', 'NodeAttribute' ) ).addProperty( 'Light' )
+			.addChild( props ).addChild( new FbxNode( 'TypeFlags' ).addProperty( 'Light' ) ).addChild( new FbxNode( 'GeometryVersion' ).addProperty( 124 ) );
+	}
+	_exportMorphTargets( mesh, geometryId, { scale, axes, ids, weldFor } ) {
+		const geometry = mesh.geometry, weld = weldFor( geometry );
+		const morphPositions = geometry.morphAttributes?.position;
+		if ( ! morphPositions || morphPositions.length === 0 ) return null;
+		const morphNormals = geometry.morphAttributes.normal;
+		const basePos = geometry.attributes.position, baseNormal = geometry.attributes.normal;
+		const relative = geometry.morphTargetsRelative;
+		const names = [];
+		if ( mesh.morphTargetDictionary ) for ( const [ name, index ] of Object.entries( mesh.morphTargetDictionary ) ) names[ index ] = name;
+		const blendShapeId = ids( mesh.uuid, 'BlendShape' );
+		const nodes = [ new FbxNode( 'Deformer' ).addProperty( BigInt( blendShapeId ) ).addProperty( nameWithClass( mesh.name || `BlendShape_${geometryId}`, 'Deformer' ) ).addProperty( 'BlendShape' ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) ) ];
+		const channels = [], delta = new THREE.Vector3();
+		morphPositions.forEach( ( attr, i ) => {
+			const name = names[ i ] || attr.name || `Morph_${i}`;
+			const normalAttr = morphNormals && baseNormal ? morphNormals[ i ] : null;
+			// FBX shapes are sparse: only control points that move are listed, with offsets relative to the base mesh
+			const indexes = [], vertices = [], normals = [];
+			// With welding, each control point reads its first vertex
+			for ( let p = 0; p < ( weld ? weld.vertices.length : basePos.count ); p ++ ) {
+				const v = weld ? weld.vertices[ p ] : p;
+				const dx = relative ? attr.getX( v ) : attr.getX( v ) - basePos.getX( v );
+				const dy = relative ? attr.getY( v ) : attr.getY( v ) - basePos.getY( v );
+				const dz = relative ? attr.getZ( v ) : attr.getZ( v ) - basePos.getZ( v );
+				if ( Math.abs( dx ) < 1e-7 && Math.abs( dy ) < 1e-7 && Math.abs( dz ) < 1e-7 ) continue;
+				indexes.push( p );
+				vertices.push( ...axes.vector( delta.set( dx, dy, dz ) ).multiplyScalar( scale ).toArray() );
+				if ( normalAttr ) {
+					delta.fromBufferAttribute( normalAttr, v );
+					if ( ! relative ) delta.x -= baseNormal.getX( v ), delta.y -= baseNormal.getY( v ), delta.z -= baseNormal.getZ( v );
+					normals.push( ...axes.vector( delta ).toArray() );
+				}
+			}
+			const shapeId = ids( mesh.uuid, 'Shape', i ), channelId = ids( mesh.uuid, 'BlendShapeChannel', i );
+			const shape = new FbxNode( 'Geometry' ).addProperty( BigInt( shapeId ) ).addProperty( nameWithClass( name, 'Geometry' ) ).addProperty( 'Shape' ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) ).addChild( new FbxNode( 'Indexes' ).addProperty( new Int32Array( indexes ) ) ).addChild( new FbxNode( 'Vertices' ).addProperty( new Float64Array( vertices ) ) );
+			if ( normalAttr ) shape.addChild( new FbxNode( 'Normals' ).addProperty( new Float64Array( normals ) ) );
+			nodes.push( shape );
+			const weight = mesh.morphTargetInfluences ? mesh.morphTargetInfluences[ i ] || 0 : 0;
+			nodes.push( new FbxNode( 'Deformer' ).addProperty( BigInt( channelId ) ).addProperty( nameWithClass( name, 'SubDeformer' ) ).addProperty( 'BlendShapeChannel' ).addChild( new FbxNode( 'Version' ).addProperty( 100 ) ).addChild( new FbxNode( 'DeformPercent' ).addProperty( new Double( weight * 100 ) ) ).addChild( new FbxNode( 'FullWeights' ).addProperty( [ new Double( 100 ) ] ) ) );
+			channels.push( { name, channelId, shapeId } );
+		} );
+		return { nodes, blendShapeId, channels };
+	}
+	_exportSkin( mesh, meshBind, boneBinds, { scale, axes, ids, weldFor, geometryIds, boneIds, clusterToSkins, clusterToBones } ) {
 		if ( ! mesh.geometry.attributes.skinIndex ) return null;
-		const skinId = generateId();
-		const skinNode = new FbxNode( 'Deformer' ).addProperty( BigInt( skinId ) ).addProperty( nameWithClass( `Skin_${gid}`, 'Deformer' ) ).addProperty( 'Skin' );
+		const skinId = ids( mesh.uuid, 'Skin' ), gid = geometryIds.get( mesh ), weld = weldFor( mesh.geometry );
+		const skinNode = new FbxNode( 'Deformer' ).addProperty( BigInt( skinId ) ).addProperty( nameWithClass( `Skin_${gid}`, 'Deformer' ) ).addProperty( 'Skin' ).addChild( new FbxNode( 'Version' ).addProperty( 101 ) ).addChild( new FbxNode( 'Link_DeformAcuracy' ).addProperty( new Double( 50 ) ) );
 		const clusters = [];
 		const weights = mesh.geometry.attributes.skinWeight.array;
 		const indices = mesh.geometry.attributes.skinIndex.array;
 		// meshBind and boneBinds now contain REST POSE data passed from parse()
 		mesh.skeleton.bones.forEach( ( bone, index ) => {
-			const clusterId = generateId();
+			const clusterId = ids( mesh.uuid, 'Cluster', bone.uuid );
 			const clusterNode = new FbxNode( 'Deformer' ).addProperty( BigInt( clusterId ) ).addProperty( nameWithClass( normalizeMixamoName( bone.name ), 'Deformer' ) ).addProperty( 'Cluster' );
 			const boneIndices = [], boneWeights = [];
-			for ( let i = 0; i < mesh.geometry.attributes.position.count; i ++ ) {
+			// Indexes are control points; welded vertices share their weights, so the first vertex of each is read
+			for ( let p = 0; p < ( weld ? weld.vertices.length : mesh.geometry.attributes.position.count ); p ++ ) {
+				const i = weld ? weld.vertices[ p ] : p;
 				for ( let j = 0; j < 4; j ++ ) {
 					if ( indices[ i * 4 + j ] === index && weights[ i * 4 + j ] > 0 ) {
-						boneIndices.push( i );
+						boneIndices.push( p );
 						boneWeights.push( weights[ i * 4 + j ] );
 					}
 				}
@@ -502,34 +1665,40 @@ export class FBXExporter {
 			if (!transformLink) transformLink = bone.matrixWorld; // Should not happen
 
 			const writeM = ( m ) => {
-				const e = [ ...m.elements ];
+				const e = [ ...axes.transform( m.clone() ).elements ];
 				e[ 12 ] *= scale; e[ 13 ] *= scale; e[ 14 ] *= scale;
 				return e.map( v => new Double( v ) );
 			};
 
-			clusterNode.addChild( new FbxNode( 'Indexes' ).addProperty( boneIndices ) ).addChild( new FbxNode( 'Weights' ).addProperty( boneWeights.map( v => new Double( v ) ) ) );
+			clusterNode.addChild( new FbxNode( 'Indexes' ).addProperty( new Int32Array( boneIndices ) ) ).addChild( new FbxNode( 'Weights' ).addProperty( new Float64Array( boneWeights ) ) );
 			clusterNode.addChild( new FbxNode( 'Transform' ).addProperty( writeM( meshBind ) ) );
 			clusterNode.addChild( new FbxNode( 'TransformLink' ).addProperty( writeM( transformLink ) ) );
 			clusterNode.addChild( new FbxNode( 'LinkMode' ).addProperty( 'Normalize' ) );
 			clusters.push( clusterNode );
-			cToS.set( clusterId, skinId );
-			cToB.set( clusterId, bIds.get( bone ) );
+			clusterToSkins.set( clusterId, skinId );
+			clusterToBones.set( clusterId, boneIds.get( bone ) );
 		} );
 		return { skinNode, clusters, skinId };
 	}
-	_exportBindPose( mid, bones, mIds, meshBind, boneBinds, armId, armMx, scale ) {
-		const pose = new FbxNode( 'Pose' ).addProperty( BigInt( generateId() ) ).addProperty( nameWithClass( 'BindPose', 'Pose' ) ).addProperty( 'BindPose' );
-		pose.addChild( new FbxNode( 'Type' ).addProperty( 'BindPose' ) ).addChild( new FbxNode( 'NbPoseNodes' ).addProperty( 1 + bones.length + ( armId ? 1 : 0 ) ) );
-		const writeM = ( m ) => { const e = [ ...m.elements ]; e[ 12 ] *= scale; e[ 13 ] *= scale; e[ 14 ] *= scale; return e.map( v => new Double( v ) ); };
-		if ( armId ) pose.addChild( new FbxNode( 'PoseNode' ).addChild( new FbxNode( 'Node' ).addProperty( BigInt( armId ) ) ).addChild( new FbxNode( 'Matrix' ).addProperty( writeM( armMx ) ) ) );
-		pose.addChild( new FbxNode( 'PoseNode' ).addChild( new FbxNode( 'Node' ).addProperty( BigInt( mid ) ) ).addChild( new FbxNode( 'Matrix' ).addProperty( writeM( meshBind ) ) ) );
-		bones.forEach( b => { const id = mIds.get( b ); if ( id ) pose.addChild( new FbxNode( 'PoseNode' ).addChild( new FbxNode( 'Node' ).addProperty( BigInt( id ) ) ).addChild( new FbxNode( 'Matrix' ).addProperty( writeM( boneBinds.get( b ) || b.matrixWorld ) ) ) ); } );
+	_exportBindPose( poseMatrices, { scale, axes, ids } ) {
+		const pose = new FbxNode( 'Pose' ).addProperty( ids( 'BindPose' ) ).addProperty( nameWithClass( 'BindPose', 'Pose' ) ).addProperty( 'BindPose' );
+		pose.addChild( new FbxNode( 'Type' ).addProperty( 'BindPose' ) ).addChild( new FbxNode( 'NbPoseNodes' ).addProperty( poseMatrices.size ) );
+		const writeM = ( m ) => { const e = [ ...axes.transform( m.clone() ).elements ]; e[ 12 ] *= scale; e[ 13 ] *= scale; e[ 14 ] *= scale; return e.map( v => new Double( v ) ); };
+		poseMatrices.forEach( ( matrix, id ) => pose.addChild( new FbxNode( 'PoseNode' ).addChild( new FbxNode( 'Node' ).addProperty( BigInt( id ) ) ).addChild( new FbxNode( 'Matrix' ).addProperty( writeM( matrix ) ) ) ) );
 		return pose;
 	}
-	_exportAnimations( clips, boneIds, scale ) {
-		const animNodes = [], animConnections = [], stackIds = [], layerIds = [];
-		clips.forEach( ( clip, i ) => {
-			const stackId = generateId(), layerId = generateId();
+	async _exportAnimations( clips, root, { ids, axes, scale, report, resampleFps, reduceKeyframes, modelIds, morphChannels, corrections } ) {
+		const animNodes = [], animConnections = [], stackIds = [], layerIds = [], targets = [ ...modelIds.keys() ];
+		const tolerance = reduceKeyframes ? { translation: 0.001, rotation: 0.1, scale: 0.001, ...( reduceKeyframes === true ? {} : reduceKeyframes ) } : null;
+		const writeCurve = ( curveNodeId, channel, times, values, flags, slopes ) => {
+			const curveId = ids( curveNodeId, channel ), attrData = new Float32Array( times.length * 4 );
+			// Per key: right slope, next key's left slope, packed tangent weights, velocity
+			for ( let k = 0; k < times.length; k ++ ) attrData.set( [ slopes ? slopes[ k ][ 0 ] : 0, slopes ? slopes[ k ][ 1 ] : 0, KEY_DEFAULT_WEIGHTS ], k * 4 );
+			animNodes.push( new FbxNode( 'AnimationCurve' ).addProperty( BigInt( curveId ) ).addProperty( nameWithClass( '', 'AnimCurve' ) ).addProperty( '' ).addChild( new FbxNode( 'KeyTime' ).addProperty( BigInt64Array.from( times ) ) ).addChild( new FbxNode( 'KeyValueFloat' ).addProperty( Float32Array.from( values ) ) ).addChild( new FbxNode( 'KeyAttrFlags' ).addProperty( new Int32Array( times.length ).fill( flags ) ) ).addChild( new FbxNode( 'KeyAttrDataFloat' ).addProperty( attrData ) ).addChild( new FbxNode( 'KeyAttrRefCount' ).addProperty( new Int32Array( times.length ).fill( 1 ) ) ) );
+			animConnections.push( new FbxNode( 'C' ).addProperty( 'OP' ).addProperty( BigInt( curveId ) ).addProperty( BigInt( curveNodeId ) ).addProperty( channel ) );
+		};
+		for ( const [ i, clip ] of clips.entries() ) {
+			const stackId = ids( clip.uuid, 'AnimationStack' ), layerId = ids( clip.uuid, 'AnimationLayer' );
 			stackIds.push( stackId ); layerIds.push( layerId );
 			const duration = BigInt( Math.round( clip.duration * Number( KTIME_ONE_SEC ) ) );
 			const stack = new FbxNode( 'AnimationStack' ).addProperty( BigInt( stackId ) ).addProperty( nameWithClass( clip.name || `Anim_${i}`, 'AnimStack' ) ).addProperty( '' );
@@ -537,52 +1706,126 @@ export class FBXExporter {
 			animNodes.push( stack );
 			animNodes.push( new FbxNode( 'AnimationLayer' ).addProperty( BigInt( layerId ) ).addProperty( nameWithClass( 'Layer0', 'AnimLayer' ) ).addProperty( '' ) );
 			animConnections.push( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( layerId ) ).addProperty( BigInt( stackId ) ) );
-			clip.tracks.forEach( track => {
-				const [ boneName, prop ] = track.name.split( '.' );
-				const bone = [ ...boneIds.keys() ].find( b => normalizeMixamoName( b.name ) === normalizeMixamoName( boneName ) );
-				if ( ! bone ) return;
-				const boneId = boneIds.get( bone );
-				const curveNodeId = generateId();
+			clip.tracks.forEach( sourceTrack => {
+				const track = resampleFps > 0 && sourceTrack.times.length > 1 ? resampleTrack( sourceTrack, resampleFps ) : sourceTrack;
 				const times = Array.from( track.times ).map( t => BigInt( Math.round( t * Number( KTIME_ONE_SEC ) ) ) );
-				const values = Array.from( track.values );
-				let keyAttr = '', data = [];
-				if ( prop === 'position' ) { keyAttr = 'T'; data = values.map( v => v * scale ); }
-				else if ( prop === 'scale' ) { keyAttr = 'S'; data = values; }
-				else if ( prop === 'quaternion' ) {
-					keyAttr = 'R'; const eulers = []; const last = new THREE.Euler();
-					const td = bone.userData?.transformData;
-					const fbxOrder = td?.eulerOrder || 'XYZ';
-					let preRotInv = null;
-					if ( td?.preRotation && ( Math.abs( td.preRotation[ 0 ] ) > 1e-6 || Math.abs( td.preRotation[ 1 ] ) > 1e-6 || Math.abs( td.preRotation[ 2 ] ) > 1e-6 ) ) {
-						const pr = td.preRotation.map( THREE.MathUtils.degToRad );
-						preRotInv = new THREE.Quaternion().setFromEuler( new THREE.Euler( pr[ 0 ], pr[ 1 ], pr[ 2 ], fbxOrder ) ).invert();
-					}
-					for ( let k = 0; k < values.length; k += 4 ) {
-						const q = new THREE.Quaternion().fromArray( values, k );
-						if ( preRotInv ) q.premultiply( preRotInv );
-						const e = new THREE.Euler().setFromQuaternion( q, fbxOrder );
-						if ( k > 0 ) {
-							if ( Math.abs( e.x - last.x ) > Math.PI ) e.x -= Math.sign( e.x - last.x ) * 2 * Math.PI;
-							if ( Math.abs( e.y - last.y ) > Math.PI ) e.y -= Math.sign( e.y - last.y ) * 2 * Math.PI;
-							if ( Math.abs( e.z - last.z ) > Math.PI ) e.z -= Math.sign( e.z - last.z ) * 2 * Math.PI;
+				const target = findTrackTarget( track.name, targets, root );
+				if ( ! target?.object ) return;
+				const obj = target.object, prop = target.propertyName;
+				// convert( value, previous ) maps one three.js key value to the FBX channel values, in output units
+				let convert, channels, curveName, destinationId, destinationProperty;
+				if ( prop === 'morphTargetInfluences' ) {
+					// Blend shape weights animate the channel's DeformPercent (0-100)
+					const morph = morphChannels.get( obj );
+					if ( ! morph ) return;
+					const key = target.propertyIndex;
+					const index = obj.morphTargetDictionary && key in obj.morphTargetDictionary ? obj.morphTargetDictionary[ key ] : parseInt( key );
+					const channel = morph.channels[ index ];
+					if ( ! channel ) return;
+					convert = v => [ v[ 0 ] * 100 ];
+					channels = [ 'DeformPercent' ]; curveName = 'DeformPercent'; destinationId = channel.channelId; destinationProperty = 'DeformPercent';
+				} else {
+					// Camera and light models carry an axis correction, which their keys and their children's keys must include
+					const parentCorrection = corrections.get( obj.parent ), ownCorrection = corrections.get( obj );
+					const parentInv = parentCorrection ? parentCorrection.clone().invert() : null;
+					channels = [ 'X', 'Y', 'Z' ]; destinationId = modelIds.get( obj );
+					if ( prop === 'position' ) {
+						const v3 = new THREE.Vector3();
+						convert = v => { axes.vector( v3.fromArray( v ) ); if ( parentInv ) v3.applyQuaternion( parentInv ); return [ v3.x * scale, v3.y * scale, v3.z * scale ]; };
+						curveName = 'T'; destinationProperty = 'Lcl Translation';
+					} else if ( prop === 'scale' ) {
+						convert = v => axes.scale( new THREE.Vector3().fromArray( v ) ).toArray();
+						curveName = 'S'; destinationProperty = 'Lcl Scaling';
+					} else if ( prop === 'quaternion' ) {
+						const td = obj.userData?.transformData;
+						const fbxOrder = td?.eulerOrder || obj.rotation.order;
+						let preRotInv = null;
+						if ( td?.preRotation && ( Math.abs( td.preRotation[ 0 ] ) > 1e-6 || Math.abs( td.preRotation[ 1 ] ) > 1e-6 || Math.abs( td.preRotation[ 2 ] ) > 1e-6 ) ) {
+							const pr = td.preRotation.map( THREE.MathUtils.degToRad );
+							preRotInv = axes.rotation( new THREE.Quaternion().setFromEuler( new THREE.Euler( pr[ 0 ], pr[ 1 ], pr[ 2 ], fbxOrder ) ) ).invert();
 						}
-						last.copy( e ); eulers.push( THREE.MathUtils.radToDeg( e.x ), THREE.MathUtils.radToDeg( e.y ), THREE.MathUtils.radToDeg( e.z ) );
+						const q = new THREE.Quaternion(), e = new THREE.Euler(), last = new THREE.Euler();
+						convert = ( v, previous ) => {
+							axes.rotation( q.fromArray( v ).normalize() );
+							if ( parentInv ) q.premultiply( parentInv );
+							if ( ownCorrection ) q.multiply( ownCorrection );
+							if ( preRotInv ) q.premultiply( preRotInv );
+							e.setFromQuaternion( q, fbxOrder );
+							if ( previous ) closestEuler( e, last.set( ...previous.map( THREE.MathUtils.degToRad ), fbxOrder ) );
+							return [ THREE.MathUtils.radToDeg( e.x ), THREE.MathUtils.radToDeg( e.y ), THREE.MathUtils.radToDeg( e.z ) ];
+						};
+						curveName = 'R'; destinationProperty = 'Lcl Rotation';
+					} else return;
+				}
+				// glTF CUBICSPLINE tracks store [ inTangent, value, outTangent ] per key, with tangents per second
+				const cubicSpline = track.createInterpolant?.isInterpolantFactoryMethodGLTFCubicSpline === true;
+				const interpolation = cubicSpline ? THREE.InterpolateSmooth : track.getInterpolation();
+				const stride = track.getValueSize(), itemSize = cubicSpline ? stride / 3 : stride;
+				const keyValue = ( k, part = cubicSpline ? 1 : 0 ) => Array.from( track.values.slice( k * stride + part * itemSize, k * stride + ( part + 1 ) * itemSize ) );
+				const keys = [];
+				for ( let k = 0; k < times.length; k ++ ) keys.push( convert( keyValue( k ), keys[ k - 1 ] ) );
+				let flags = KEY_INTERPOLATION_LINEAR, slopes = null;
+				if ( interpolation === THREE.InterpolateDiscrete ) flags = KEY_INTERPOLATION_CONSTANT;
+				else if ( interpolation === THREE.InterpolateSmooth ) {
+					const seconds = track.times, count = times.length;
+					slopes = keys.map( () => channels.map( () => [ 0, 0 ] ) );
+					if ( cubicSpline ) {
+						// Tangents go through the same conversion as the values, by finite differences around each key
+						flags = KEY_INTERPOLATION_CUBIC | KEY_TANGENT_USER | KEY_TANGENT_BREAK;
+						const epsilon = 1e-4, offset = ( value, tangent, sign ) => value.map( ( x, c ) => x + sign * epsilon * tangent[ c ] );
+						for ( let k = 0; k < count; k ++ ) {
+							const value = keyValue( k );
+							const outKey = convert( offset( value, keyValue( k, 2 ), 1 ), keys[ k ] );
+							channels.forEach( ( _, c ) => slopes[ k ][ c ][ 0 ] = ( outKey[ c ] - keys[ k ][ c ] ) / epsilon );
+							if ( k > 0 ) {
+								const inKey = convert( offset( value, keyValue( k, 0 ), - 1 ), keys[ k ] );
+								channels.forEach( ( _, c ) => slopes[ k - 1 ][ c ][ 1 ] = ( keys[ k ][ c ] - inKey[ c ] ) / epsilon );
+							}
+						}
+					} else {
+						// Catmull-Rom tangents, one-sided at the ends, computed on the converted (and unwrapped) values
+						flags = KEY_INTERPOLATION_CUBIC | KEY_TANGENT_USER;
+						const slopeAt = ( k, c ) => {
+							const a = Math.max( k - 1, 0 ), b = Math.min( k + 1, count - 1 );
+							return b > a ? ( keys[ b ][ c ] - keys[ a ][ c ] ) / ( seconds[ b ] - seconds[ a ] ) : 0;
+						};
+						for ( let k = 0; k < count; k ++ ) channels.forEach( ( _, c ) => { slopes[ k ][ c ][ 0 ] = slopeAt( k, c ); slopes[ k ][ c ][ 1 ] = k + 1 < count ? slopeAt( k + 1, c ) : 0; } );
 					}
-					data = eulers;
-				} else return;
-				const curveNode = new FbxNode( 'AnimationCurveNode' ).addProperty( BigInt( curveNodeId ) ).addProperty( nameWithClass( keyAttr, 'AnimCurveNode' ) ).addProperty( '' );
-				curveNode.addChild( new FbxNode( 'Properties70' ).addChild( createP( 'd', 'Compound', '', '' ) ).addChild( createP( 'd|X', 'Number', '', 'A', new Double( data[ 0 ] || 0 ) ) ).addChild( createP( 'd|Y', 'Number', '', 'A', new Double( data[ 1 ] || 0 ) ) ).addChild( createP( 'd|Z', 'Number', '', 'A', new Double( data[ 2 ] || 0 ) ) ) );
-				animNodes.push( curveNode );
+				}
+				const curveNodeId = ids( clip.uuid, track.name, 'AnimationCurveNode' );
+				const p70 = new FbxNode( 'Properties70' );
+				if ( channels.length > 1 ) p70.addChild( createP( 'd', 'Compound', '', '' ) );
+				channels.forEach( ( channel, c ) => p70.addChild( createP( `d|${channel}`, 'Number', '', 'A', new Double( keys[ 0 ]?.[ c ] || 0 ) ) ) );
+				animNodes.push( new FbxNode( 'AnimationCurveNode' ).addProperty( BigInt( curveNodeId ) ).addProperty( nameWithClass( curveName, 'AnimCurveNode' ) ).addProperty( '' ).addChild( p70 ) );
 				animConnections.push( new FbxNode( 'C' ).addProperty( 'OO' ).addProperty( BigInt( curveNodeId ) ).addProperty( BigInt( layerId ) ) );
-				animConnections.push( new FbxNode( 'C' ).addProperty( 'OP' ).addProperty( BigInt( curveNodeId ) ).addProperty( BigInt( boneId ) ).addProperty( prop === 'position' ? 'Lcl Translation' : prop === 'scale' ? 'Lcl Scaling' : 'Lcl Rotation' ) );
-				[ 'X', 'Y', 'Z' ].forEach( ( axis, axIdx ) => {
-					const curveId = generateId();
-					const val = data.filter( ( _, i ) => i % 3 === axIdx ).map( v => new Float( v ) );
-					animNodes.push( new FbxNode( 'AnimationCurve' ).addProperty( BigInt( curveId ) ).addProperty( nameWithClass( '', 'AnimCurve' ) ).addProperty( '' ).addChild( new FbxNode( 'KeyTime' ).addProperty( times ) ).addChild( new FbxNode( 'KeyValueFloat' ).addProperty( val ) ).addChild( new FbxNode( 'KeyAttrFlags' ).addProperty( new Array( times.length ).fill( 256 ) ) ).addChild( new FbxNode( 'KeyAttrDataFloat' ).addProperty( new Array( times.length * 4 ).fill( new Float( 0 ) ) ) ).addChild( new FbxNode( 'KeyAttrRefCount' ).addProperty( new Array( times.length ).fill( 1 ) ) ) );
-					animConnections.push( new FbxNode( 'C' ).addProperty( 'OP' ).addProperty( BigInt( curveId ) ).addProperty( BigInt( curveNodeId ) ).addProperty( `d|${axis}` ) );
+				animConnections.push( new FbxNode( 'C' ).addProperty( 'OP' ).addProperty( BigInt( curveNodeId ) ).addProperty( BigInt( destinationId ) ).addProperty( destinationProperty ) );
+				// Reduction works on linear and stepped curves. Translation and scale are reduced per channel; the three rotation
+				// channels share their key times, and the error is the angle of the combined rotation to the exact quaternion
+				const stepped = flags === KEY_INTERPOLATION_CONSTANT;
+				let reduce = null;
+				if ( tolerance && ! slopes && curveName === 'R' ) {
+					const order = obj.userData?.transformData?.eulerOrder || obj.rotation.order, e = new THREE.Euler(), q = new THREE.Quaternion();
+					const exact = keys.map( key => new THREE.Quaternion().setFromEuler( e.set( ...key.map( THREE.MathUtils.degToRad ), order ) ) );
+					const maxAngle = THREE.MathUtils.degToRad( tolerance.rotation );
+					// Applications interpolate the Euler curves, importers such as FBXLoader slerp between keys; both have to stay within tolerance
+					const kept = reduceCurve( track.times, keys, ( j, v, anchor, end, f ) => q.setFromEuler( e.set( ...v.map( THREE.MathUtils.degToRad ), order ) ).angleTo( exact[ j ] ) <= maxAngle &&
+						( stepped || q.slerpQuaternions( exact[ anchor ], exact[ end ], f ).angleTo( exact[ j ] ) <= maxAngle ), stepped );
+					reduce = () => kept;
+				} else if ( tolerance && ! slopes && ( curveName === 'T' || curveName === 'S' ) ) {
+					const maxError = curveName === 'T' ? tolerance.translation * scale : tolerance.scale;
+					reduce = c => reduceCurve( track.times, keys.map( key => [ key[ c ] ] ), ( j, v ) => Math.abs( v[ 0 ] - keys[ j ][ c ] ) <= maxError, stepped );
+				}
+				channels.forEach( ( channel, c ) => {
+					const values = keys.map( key => key[ c ] );
+					const kept = reduce ? reduce( c ) : values.map( ( _, k ) => k );
+					writeCurve( curveNodeId, `d|${channel}`, kept.map( k => times[ k ] ), kept.map( k => values[ k ] ), flags, slopes && kept.map( k => slopes[ k ][ c ] ) );
 				} );
 			} );
-		} );
+			await report( 'animation', i + 1, clips.length );
+		}
 		return { animNodes, animConnections, stackIds, layerIds };
 	}
-}
\ No newline at end of file
+}
+
+// Node building blocks for plugins
+export { FbxNode, Double, Float, Int32, createP, nameWithClass };
@@ -0,0 +1,39 @@
+import * as THREE from 'three';
+import { FBXExporter } from './FBXExporter.js';
+
+/**
+ * Web Worker entry point for FBXExporter
+ *
+ * Receives { scene, animations, options } where scene is Object3D.toJSON() output (geometry arrays may be
+ * transferred typed arrays) and animations are AnimationClip.toJSON() objects. Posts progress messages,
+ * then { type: 'done', buffer, images } with the FBX (or zip) ArrayBuffer transferred back.
+ * A { type: 'abort' } message cancels the running export.
+ */
+
+class SceneLoader extends THREE.ObjectLoader {
+	parseImages( json, onLoad ) {
+		// Workers cannot decode images through the DOM; encoded images stay data URLs, which the exporter embeds as-is
+		const encoded = ( json || [] ).filter( image => typeof image.url === 'string' );
+		const images = super.parseImages( ( json || [] ).filter( image => ! encoded.includes( image ) ), onLoad );
+		encoded.forEach( image => images[ image.uuid ] = new THREE.Source( { src: image.url } ) );
+		return images;
+	}
+}
+
+let controller = null;
+
+self.onmessage = async ( { data } ) => {
+	if ( data.type === 'abort' ) { controller?.abort(); return; }
+	controller = new AbortController();
+	try {
+		const scene = new SceneLoader().parse( data.scene );
+		const animations = ( data.animations || [] ).map( clip => THREE.AnimationClip.parse( clip ) );
+		const onProgress = progress => self.postMessage( { type: 'progress', ...progress } );
+		const result = await new FBXExporter().parse( scene, { ...data.options, animations, onProgress, signal: controller.signal } );
+		const buffer = await ( result.fbx || result ).arrayBuffer();
+		const images = result.images?.map( image => ( { path: image.path, data: image.data.slice() } ) );
+		self.postMessage( { type: 'done', buffer, images }, [ buffer, ...( images || [] ).map( image => image.data.buffer ) ] );
+	} catch ( error ) {
+		self.postMessage( { type: 'error', name: error.name, message: error.message } );
+	}
+};
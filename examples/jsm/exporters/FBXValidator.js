@@ -0,0 +1,194 @@
+import * as fflate from 'three/addons/libs/fflate.module.js';
+
+/**
+ * FBX Inspector and Validator
+ * Reads binary FBX files (7400 and later) back into node trees shaped like FBXExporter's nodes,
+ * prints them in the ASCII layout and checks the structure importers rely on.
+ *
+ * Properties come back as booleans, numbers, bigints (L), strings (S), Uint8Array (R),
+ * typed arrays (f, d, i, l) or boolean arrays (b).
+ */
+
+const MAGIC_HEADER = 'Kaydara FBX Binary  \x00';
+const ARRAY_TYPES = { f: Float32Array, d: Float64Array, l: BigInt64Array, i: Int32Array, b: Uint8Array };
+
+function readFBX( buffer ) {
+	const bytes = ArrayBuffer.isView( buffer ) ? new Uint8Array( buffer.buffer, buffer.byteOffset, buffer.byteLength ) : new Uint8Array( buffer );
+	const view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength ), decoder = new TextDecoder();
+	if ( decoder.decode( bytes.subarray( 0, MAGIC_HEADER.length ) ) !== MAGIC_HEADER ) throw new Error( 'FBXValidator: Not a binary FBX file.' );
+	const version = view.getUint32( 23, true ), offsetSize = version >= 7500 ? 8 : 4;
+	let offset = 27;
+	const take = ( size ) => { offset += size; return offset - size; };
+	const readOffset = () => offsetSize === 8 ? Number( view.getBigUint64( take( 8 ), true ) ) : view.getUint32( take( 4 ), true );
+	const readArray = ( type ) => {
+		const length = view.getUint32( take( 4 ), true ), encoding = view.getUint32( take( 4 ), true ), byteLength = view.getUint32( take( 4 ), true );
+		const stored = bytes.subarray( offset, offset + byteLength );
+		take( byteLength );
+		const raw = encoding === 1 ? fflate.unzlibSync( stored ) : stored.slice();
+		const TypedArray = ARRAY_TYPES[ type ];
+		if ( raw.length !== length * TypedArray.BYTES_PER_ELEMENT ) throw new Error( `FBXValidator: Array of ${length} "${type}" values has ${raw.length} bytes.` );
+		const array = new TypedArray( raw.buffer, raw.byteOffset, length );
+		return type === 'b' ? Array.from( array, v => v !== 0 ) : array;
+	};
+	const readProperty = () => {
+		const type = String.fromCharCode( view.getUint8( take( 1 ) ) );
+		switch ( type ) {
+			case 'C': return view.getUint8( take( 1 ) ) !== 0;
+			case 'Y': return view.getInt16( take( 2 ), true );
+			case 'I': return view.getInt32( take( 4 ), true );
+			case 'F': return view.getFloat32( take( 4 ), true );
+			case 'D': return view.getFloat64( take( 8 ), true );
+			case 'L': return view.getBigInt64( take( 8 ), true );
+			case 'S': case 'R': {
+				const length = view.getUint32( take( 4 ), true ), data = bytes.slice( offset, offset + length );
+				take( length );
+				return type === 'S' ? decoder.decode( data ) : data;
+			}
+		}
+		if ( ARRAY_TYPES[ type ] ) return readArray( type );
+		throw new Error( `FBXValidator: Unknown property type "${type}" at byte ${offset - 1}.` );
+	};
+	const readNode = () => {
+		const start = offset, endOffset = readOffset(), propertyCount = readOffset();
+		readOffset();
+		const nameLength = view.getUint8( take( 1 ) );
+		// A zeroed record ends a child list
+		if ( endOffset === 0 ) return null;
+		if ( endOffset > bytes.length ) throw new Error( `FBXValidator: Node at byte ${start} ends past the end of the file.` );
+		const name = decoder.decode( bytes.subarray( offset, offset + nameLength ) );
+		take( nameLength );
+		const properties = [], children = [];
+		for ( let i = 0; i < propertyCount; i ++ ) properties.push( readProperty() );
+		while ( offset < endOffset ) {
+			const child = readNode();
+			if ( ! child ) break;
+			children.push( child );
+		}
+		if ( offset !== endOffset ) throw new Error( `FBXValidator: Node "${name}" at byte ${start} ends at ${offset}, but its header says ${endOffset}.` );
+		return { name, properties, children };
+	};
+	const nodes = [];
+	for ( let node = readNode(); node; node = readNode() ) nodes.push( node );
+	return { version, nodes };
+}
+
+function formatProperty( prop ) {
+	if ( typeof prop === 'boolean' ) return prop ? 'T' : 'F';
+	if ( typeof prop === 'string' ) {
+		// Binary "Name\x00\x01Class" pairs are shown as "Class::Name", as in ASCII files
+		const sep = prop.indexOf( '\x00\x01' );
+		return JSON.stringify( sep === - 1 ? prop : `${prop.slice( sep + 2 )}::${prop.slice( 0, sep )}` );
+	}
+	if ( prop instanceof Uint8Array ) return `<${prop.length} bytes>`;
+	return String( prop );
+}
+
+function printFBX( nodes, { maxArrayLength = 16 } = {} ) {
+	const lines = [];
+	const print = ( node, indent ) => {
+		const props = node.properties;
+		if ( props.length === 1 && ( Array.isArray( props[ 0 ] ) || ( ArrayBuffer.isView( props[ 0 ] ) && ! ( props[ 0 ] instanceof Uint8Array ) ) ) ) {
+			const values = Array.from( props[ 0 ].slice( 0, maxArrayLength ), formatProperty );
+			if ( props[ 0 ].length > maxArrayLength ) values.push( '...' );
+			lines.push( `${indent}${node.name}: *${props[ 0 ].length} { a: ${values.join( ',' )} }` );
+			return;
+		}
+		const head = `${indent}${node.name}: ${props.map( formatProperty ).join( ', ' )}`;
+		if ( node.children.length === 0 ) { lines.push( head ); return; }
+		lines.push( `${head} {` );
+		node.children.forEach( child => print( child, indent + '\t' ) );
+		lines.push( `${indent}}` );
+	};
+	nodes.forEach( node => print( node, '' ) );
+	return lines.join( '\n' );
+}
+
+function validateFBX( input ) {
+	const issues = [];
+	const report = ( check, message ) => issues.push( { check, message } );
+	let nodes = input, version;
+	if ( ! Array.isArray( input ) ) {
+		try {
+			( { nodes, version } = readFBX( input ) );
+		} catch ( error ) {
+			report( 'structure', error.message );
+			return { version, valid: false, issues };
+		}
+	}
+	const find = ( list, name ) => list.find( node => node.name === name );
+	const child = ( node, name ) => node && find( node.children, name );
+	const objects = child( { children: nodes }, 'Objects' )?.children || [];
+	const label = node => formatProperty( node.properties[ 1 ] ?? '' );
+	// Objects are keyed by their first property, a 64-bit ID
+	const byId = new Map();
+	for ( const node of objects ) {
+		const id = node.properties[ 0 ];
+		if ( byId.has( id ) ) report( 'ids', `${node.name} ${label( node )} reuses ID ${id} of ${byId.get( id ).name} ${label( byId.get( id ) )}` );
+		else byId.set( id, node );
+	}
+	const definitions = find( nodes, 'Definitions' );
+	if ( definitions ) {
+		const actual = new Map();
+		objects.forEach( node => actual.set( node.name, ( actual.get( node.name ) || 0 ) + 1 ) );
+		// GlobalSettings is a top-level node but is counted as one object
+		actual.set( 'GlobalSettings', find( nodes, 'GlobalSettings' ) ? 1 : 0 );
+		let total = 0;
+		const declared = new Set();
+		for ( const type of definitions.children.filter( node => node.name === 'ObjectType' ) ) {
+			const name = type.properties[ 0 ], count = child( type, 'Count' )?.properties[ 0 ] ?? 0;
+			declared.add( name );
+			total += count;
+			if ( count !== ( actual.get( name ) || 0 ) ) report( 'definitions', `Definitions declare ${count} ${name}, the file has ${actual.get( name ) || 0}` );
+		}
+		actual.forEach( ( count, name ) => { if ( count > 0 && ! declared.has( name ) ) report( 'definitions', `${count} ${name} object(s) have no ObjectType in Definitions` ); } );
+		const count = child( definitions, 'Count' )?.properties[ 0 ];
+		if ( count !== total ) report( 'definitions', `Definitions Count is ${count}, the ObjectType counts add up to ${total}` );
+	} else report( 'definitions', 'The file has no Definitions section' );
+	// Connections are "C" nodes: type, child ID, parent ID (0 is the scene root)
+	const parents = new Map();
+	for ( const connection of find( nodes, 'Connections' )?.children || [] ) {
+		const [ type, childId, parentId ] = connection.properties;
+		if ( ! byId.has( childId ) ) report( 'connections', `${type} connection from missing ID ${childId}` );
+		if ( parentId !== 0n && ! byId.has( parentId ) ) report( 'connections', `${type} connection to missing ID ${parentId}` );
+		if ( ! parents.has( childId ) ) parents.set( childId, [] );
+		parents.get( childId ).push( byId.get( parentId ) );
+	}
+	for ( const geometry of objects.filter( node => node.name === 'Geometry' && node.properties[ 2 ] === 'Mesh' ) ) {
+		const vertices = child( geometry, 'Vertices' )?.properties[ 0 ], indices = child( geometry, 'PolygonVertexIndex' )?.properties[ 0 ];
+		if ( ! vertices || vertices.length % 3 !== 0 ) { report( 'polygons', `Geometry ${label( geometry )} has no Vertices or a length that is not a multiple of 3` ); continue; }
+		if ( ! indices || indices.length === 0 ) { report( 'polygons', `Geometry ${label( geometry )} has no PolygonVertexIndex` ); continue; }
+		// The last corner of each polygon is stored as -(index + 1)
+		const count = vertices.length / 3;
+		let size = 0, bad = 0;
+		for ( const index of indices ) {
+			const vertex = index < 0 ? - index - 1 : index;
+			if ( vertex >= count ) bad ++;
+			size ++;
+			if ( index < 0 ) { if ( size < 3 ) bad ++; size = 0; }
+		}
+		if ( size !== 0 ) report( 'polygons', `Geometry ${label( geometry )} PolygonVertexIndex does not end with a negative index` );
+		if ( bad > 0 ) report( 'polygons', `Geometry ${label( geometry )} has ${bad} polygon corner(s) out of range or in polygons with fewer than 3 corners` );
+		// Edges point at polygon corners; ByEdge smoothing has one value per edge, ByPolygon one per polygon
+		const edges = child( geometry, 'Edges' )?.properties[ 0 ], smoothing = child( geometry, 'LayerElementSmoothing' );
+		if ( edges && Array.from( edges ).some( corner => corner < 0 || corner >= indices.length ) ) report( 'polygons', `Geometry ${label( geometry )} has Edges outside its ${indices.length} polygon corners` );
+		if ( smoothing ) {
+			const mapping = child( smoothing, 'MappingInformationType' )?.properties[ 0 ], values = child( smoothing, 'Smoothing' )?.properties[ 0 ] || [];
+			const expected = mapping === 'ByEdge' ? edges?.length ?? 0 : Array.from( indices ).filter( index => index < 0 ).length;
+			if ( values.length !== expected ) report( 'polygons', `Geometry ${label( geometry )} has ${values.length} ${mapping} smoothing values, expected ${expected}` );
+		}
+	}
+	// Cluster -> Skin -> Geometry; cluster Indexes are control points of that geometry
+	for ( const cluster of objects.filter( node => node.name === 'Deformer' && node.properties[ 2 ] === 'Cluster' ) ) {
+		const indexes = child( cluster, 'Indexes' )?.properties[ 0 ] || [], weights = child( cluster, 'Weights' )?.properties[ 0 ] || [];
+		if ( indexes.length !== weights.length ) report( 'clusters', `Cluster ${label( cluster )} has ${indexes.length} Indexes but ${weights.length} Weights` );
+		const skin = ( parents.get( cluster.properties[ 0 ] ) || [] ).find( node => node?.properties[ 2 ] === 'Skin' );
+		const geometry = skin && ( parents.get( skin.properties[ 0 ] ) || [] ).find( node => node?.name === 'Geometry' );
+		const vertices = geometry && child( geometry, 'Vertices' )?.properties[ 0 ];
+		if ( ! vertices ) { report( 'clusters', `Cluster ${label( cluster )} is not connected to a skinned geometry` ); continue; }
+		const outOfRange = Array.from( indexes ).filter( index => index < 0 || index >= vertices.length / 3 ).length;
+		if ( outOfRange > 0 ) report( 'clusters', `Cluster ${label( cluster )} has ${outOfRange} index(es) outside the ${vertices.length / 3} control points of ${label( geometry )}` );
+	}
+	return { version, valid: issues.length === 0, issues };
+}
+
+export { readFBX, printFBX, validateFBX };
@@ -1,7 +1,10 @@
 import fs from 'fs';
 import * as THREE from 'three';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { FBXExporter } from '../examples/jsm/exporters/FBXExporter.js';
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { FBXExporter, FbxNode, createP, nameWithClass } from '../examples/jsm/exporters/FBXExporter.js';
+import { readFBX, printFBX, validateFBX } from '../examples/jsm/exporters/FBXValidator.js';
 
 const TOLERANCE = 0.01;
 
@@ -264,13 +267,1971 @@ if ( clips.length === 0 || reimClips.length === 0 ) {
 console.log( '\n--- Animation Results ---' );
 console.log( `Animation failures (> ${TOLERANCE}): ${animErrorCount}` );
 
+// ===== ASCII FORMAT TEST =====
+console.log( '\n=== ASCII FORMAT TEST ===' );
+let asciiErrorCount = 0;
+
+const asciiBlob = await new FBXExporter().parse( original, {
+	exportSkin: true,
+	exportMaterials: false,
+	embedImages: false,
+	scale: 1,
+	format: 'ascii',
+	animations: clips
+} );
+
+const asciiText = await asciiBlob.text();
+console.log( `Exported ${asciiText.length} characters of ASCII FBX` );
+
+const asciiReimported = new FBXLoader().parse( await asciiBlob.arrayBuffer(), '' );
+asciiReimported.updateMatrixWorld( true );
+const asciiBoneMap = collectBones( asciiReimported );
+
+if ( asciiBoneMap.size !== originalBoneMap.size ) {
+
+	console.error( `FAIL: ASCII re-import has ${asciiBoneMap.size} bones, expected ${originalBoneMap.size}` );
+	asciiErrorCount ++;
+
+}
+
+for ( const [ name, origBone ] of originalBoneMap ) {
+
+	const asciiBone = asciiBoneMap.get( name );
+	if ( ! asciiBone ) continue;
+
+	const err = 1 - Math.abs( origBone.quaternion.dot( asciiBone.quaternion ) );
+	if ( err > TOLERANCE ) {
+
+		asciiErrorCount ++;
+		if ( asciiErrorCount <= 2 ) console.error( `  FAIL bone "${name}": quat error=${err.toFixed( 6 )}` );
+
+	}
+
+}
+
+console.log( `ASCII failures: ${asciiErrorCount}` );
+
+// ===== COMPRESSION TEST =====
+console.log( '\n=== COMPRESSION TEST ===' );
+let compressErrorCount = 0;
+
+const compressedBlob = await new FBXExporter().parse( original, {
+	exportSkin: true,
+	exportMaterials: false,
+	embedImages: false,
+	scale: 1,
+	compress: true,
+	animations: clips
+} );
+
+console.log( `Compressed: ${compressedBlob.size} bytes (uncompressed: ${exportedBuffer.byteLength} bytes)` );
+
+if ( compressedBlob.size >= exportedBuffer.byteLength ) {
+
+	console.error( 'FAIL: Compressed export is not smaller than the uncompressed export' );
+	compressErrorCount ++;
+
+}
+
+const compressedReimported = new FBXLoader().parse( await compressedBlob.arrayBuffer(), '' );
+compressedReimported.updateMatrixWorld( true );
+
+for ( const origMesh of originalMeshes ) {
+
+	let found = null;
+	compressedReimported.traverse( obj => {
+
+		if ( obj.isSkinnedMesh && obj.name === origMesh.name ) found = obj;
+
+	} );
+
+	const diff = found ? compareMatrices( origMesh.bindMatrix, found.bindMatrix ) : Infinity;
+	if ( diff > TOLERANCE ) {
+
+		console.error( `  FAIL mesh "${origMesh.name}": bind matrix diff = ${diff}` );
+		compressErrorCount ++;
+
+	}
+
+}
+
+console.log( `Compression failures: ${compressErrorCount}` );
+
+// ===== MULTI-MATERIAL TEST =====
+console.log( '\n=== MULTI-MATERIAL TEST ===' );
+let materialErrorCount = 0;
+
+const boxGeometry = new THREE.BoxGeometry();
+boxGeometry.groups.forEach( ( group, i ) => group.materialIndex = i % 3 );
+const boxMaterials = [ 'Red', 'Green', 'Blue' ].map( name => new THREE.MeshLambertMaterial( { name } ) );
+const box = new THREE.Mesh( boxGeometry, boxMaterials );
+box.name = 'MultiMaterialBox';
+
+const materialBlob = await new FBXExporter().parse( box, { embedImages: false, scale: 1 } );
+const materialReimported = new FBXLoader().parse( await materialBlob.arrayBuffer(), '' );
+
+let reimportedBox = null;
+materialReimported.traverse( obj => {
+
+	if ( obj.isMesh && obj.name === box.name ) reimportedBox = obj;
+
+} );
+
+if ( ! reimportedBox || ! Array.isArray( reimportedBox.material ) ) {
+
+	console.error( 'FAIL: Multi-material mesh not re-imported with a material array' );
+	materialErrorCount ++;
+
+} else {
+
+	const names = reimportedBox.material.map( m => m.name ).join( ',' );
+	if ( names !== 'Red,Green,Blue' ) {
+
+		console.error( `FAIL: Material slots re-imported as ${names}` );
+		materialErrorCount ++;
+
+	}
+
+	// Each triangle must keep the material its group pointed to
+	const expected = [], actual = [];
+	boxGeometry.groups.forEach( g => { for ( let i = 0; i < g.count / 3; i ++ ) expected.push( g.materialIndex ); } );
+	reimportedBox.geometry.groups.forEach( g => { for ( let i = 0; i < g.count / 3; i ++ ) actual.push( g.materialIndex ); } );
+	if ( expected.join( ',' ) !== actual.join( ',' ) ) {
+
+		console.error( `FAIL: Per-polygon material indices differ: ${actual.join( ',' )}` );
+		materialErrorCount ++;
+
+	}
+
+}
+
+console.log( `Multi-material failures: ${materialErrorCount}` );
+
+// ===== VERTEX ATTRIBUTE TEST =====
+console.log( '\n=== VERTEX ATTRIBUTE TEST ===' );
+let attributeErrorCount = 0;
+
+const paintedGeometry = new THREE.BoxGeometry();
+const paintColors = new Float32Array( paintedGeometry.attributes.position.count * 3 ).map( ( _, i ) => ( i % 7 ) / 6 );
+paintedGeometry.setAttribute( 'color', new THREE.BufferAttribute( paintColors, 3 ) );
+paintedGeometry.setAttribute( 'uv1', new THREE.BufferAttribute( paintedGeometry.attributes.uv.array.map( v => v * 0.5 + 0.25 ), 2 ) );
+paintedGeometry.computeTangents();
+const paintedBox = new THREE.Mesh( paintedGeometry, new THREE.MeshLambertMaterial( { vertexColors: true } ) );
+paintedBox.name = 'PaintedBox';
+
+const attributeBlob = await new FBXExporter().parse( paintedBox, { embedImages: false, scale: 1 } );
+const reimportedPainted = new FBXLoader().parse( await attributeBlob.arrayBuffer(), '' ).getObjectByName( 'PaintedBox' );
+
+// The loader expands geometry to one vertex per polygon corner, in index order
+const checkCorners = ( name, attrName ) => {
+
+	const source = paintedGeometry.attributes[ attrName ], loaded = reimportedPainted?.geometry.attributes[ attrName ];
+	if ( ! loaded || loaded.count !== paintedGeometry.index.count ) {
+
+		console.error( `FAIL: ${name} not re-imported` );
+		attributeErrorCount ++;
+		return;
+
+	}
+
+	for ( let k = 0; k < loaded.count; k ++ ) for ( let c = 0; c < source.itemSize; c ++ ) {
+
+		if ( Math.abs( loaded.getComponent( k, c ) - source.getComponent( paintedGeometry.index.getX( k ), c ) ) > TOLERANCE ) {
+
+			console.error( `FAIL: ${name} differs at corner ${k}` );
+			attributeErrorCount ++;
+			return;
+
+		}
+
+	}
+
+};
+
+checkCorners( 'Vertex colors', 'color' );
+checkCorners( 'Second UV set', 'uv1' );
+
+const attributeText = await ( await new FBXExporter().parse( paintedBox, { embedImages: false, scale: 1, format: 'ascii' } ) ).text();
+const cornerCount = paintedGeometry.index.count;
+for ( const [ element, array ] of [ [ 'LayerElementTangent', 'Tangents' ], [ 'LayerElementBinormal', 'Binormals' ] ] ) {
+
+	if ( ! new RegExp( `${array}: \\*${cornerCount * 3} ` ).test( attributeText ) || ! new RegExp( `Type: "${element}"` ).test( attributeText ) ) {
+
+		console.error( `FAIL: ${element} missing or not referenced from a Layer` );
+		attributeErrorCount ++;
+
+	}
+
+}
+
+if ( ! /Layer: 1 \{[^}]*LayerElementUV[^}]*TypedIndex: 1/.test( attributeText ) ) {
+
+	console.error( 'FAIL: Second UV set not referenced from Layer 1' );
+	attributeErrorCount ++;
+
+}
+
+console.log( `Vertex attribute failures: ${attributeErrorCount}` );
+
+// ===== PBR MATERIAL TEST =====
+console.log( '\n=== PBR MATERIAL TEST ===' );
+let pbrErrorCount = 0;
+
+const gold = new THREE.MeshStandardMaterial( { name: 'Gold', color: 0xffcc33, emissive: 0x330000, emissiveIntensity: 2, roughness: 0.3, metalness: 1, opacity: 0.5, transparent: true } );
+const goldBox = new THREE.Mesh( new THREE.BoxGeometry(), gold );
+goldBox.name = 'GoldBox';
+
+const pbrBlob = await new FBXExporter().parse( goldBox, { embedImages: false, scale: 1 } );
+const pbrReimported = new FBXLoader().parse( await pbrBlob.arrayBuffer(), '' );
+const goldReimported = pbrReimported.getObjectByName( 'GoldBox' )?.material;
+
+if ( ! goldReimported?.isMeshPhongMaterial ) {
+
+	console.error( 'FAIL: MeshStandardMaterial not exported with a Phong shading model' );
+	pbrErrorCount ++;
+
+} else {
+
+	const checks = {
+		color: goldReimported.color.getHex() === 0xffcc33,
+		emissive: goldReimported.emissive.getHex() === 0x330000,
+		emissiveIntensity: Math.abs( goldReimported.emissiveIntensity - 2 ) < TOLERANCE,
+		opacity: Math.abs( goldReimported.opacity - 0.5 ) < TOLERANCE && goldReimported.transparent,
+		metalness: Math.abs( goldReimported.reflectivity - 1 ) < TOLERANCE,
+		roughness: Math.abs( goldReimported.shininess - 49 ) < TOLERANCE
+	};
+
+	for ( const [ name, ok ] of Object.entries( checks ) ) {
+
+		if ( ! ok ) {
+
+			console.error( `  FAIL material ${name} not preserved` );
+			pbrErrorCount ++;
+
+		}
+
+	}
+
+}
+
+// SpecularFactor is what Blender doubles into its specular value: 0.25 for a dielectric, 0.5 for a metal
+const plastic = new THREE.Mesh( new THREE.BoxGeometry(), new THREE.MeshStandardMaterial( { name: 'Plastic', metalness: 0 } ) );
+plastic.name = 'PlasticBox';
+const specularText = await ( await new FBXExporter().parse( new THREE.Group().add( plastic, goldBox ), { format: 'ascii', embedImages: false, scale: 1 } ) ).text();
+const specularFactors = [ ...specularText.slice( specularText.indexOf( '\nObjects:' ) ).matchAll( /P: "SpecularFactor", "Number", "", "A", ([-\d.e]+)/g ) ].map( m => Number( m[ 1 ] ) );
+if ( specularFactors.length !== 2 || specularFactors[ 0 ] !== 0.25 || specularFactors[ 1 ] !== 0.5 ) {
+
+	console.error( `FAIL: SpecularFactor should be 0.25 for dielectrics and 0.5 for metals, got ${specularFactors}` );
+	pbrErrorCount ++;
+
+}
+
+console.log( `PBR material failures: ${pbrErrorCount}` );
+
+// ===== TEXTURE EMBEDDING TEST =====
+console.log( '\n=== TEXTURE EMBEDDING TEST ===' );
+let textureErrorCount = 0;
+
+// 16-bit DataTexture: must be encoded without a canvas. JPEG data URL: must be embedded byte for byte.
+const texturePixels = new Uint16Array( 4 * 3 * 4 ).map( ( _, i ) => i * 1000 );
+const dataTexture = new THREE.DataTexture( texturePixels, 4, 3, THREE.RGBAFormat, THREE.UnsignedShortType );
+dataTexture.name = 'Heightfield';
+const jpegBytes = new Uint8Array( [ 0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46 ] );
+const photoTexture = new THREE.Texture( { src: 'data:image/jpeg;base64,' + Buffer.from( jpegBytes ).toString( 'base64' ), width: 8, height: 8 } );
+photoTexture.name = 'Photo';
+const texturedBox = new THREE.Mesh( new THREE.BoxGeometry(), new THREE.MeshStandardMaterial( { map: photoTexture, roughnessMap: dataTexture } ) );
+
+// The ASCII writer stores Video content as base64, which makes the embedded bytes easy to inspect
+const textureText = await ( await new FBXExporter().parse( texturedBox, { scale: 1, format: 'ascii' } ) ).text();
+const textureLines = textureText.split( '\n' );
+const embedded = new Map();
+textureLines.forEach( ( line, i ) => {
+
+	if ( /^\s*Content: ,$/.test( line ) ) {
+
+		const fileName = textureLines.slice( i ).find( l => /^\s*RelativeFilename:/.test( l ) ).match( /"(.*)"/ )[ 1 ];
+		embedded.set( fileName, Buffer.from( textureLines[ i + 1 ].trim().replace( /"/g, '' ), 'base64' ) );
+
+	}
+
+} );
+
+if ( ! embedded.has( 'Photo.jpg' ) || ! embedded.get( 'Photo.jpg' ).equals( Buffer.from( jpegBytes ) ) ) {
+
+	console.error( 'FAIL: Data URL texture not embedded unchanged as Photo.jpg' );
+	textureErrorCount ++;
+
+}
+
+const png = embedded.get( 'Heightfield.png' );
+if ( ! png || png.readUInt32BE( 0 ) !== 0x89504E47 || png.readUInt32BE( 16 ) !== 4 || png.readUInt32BE( 20 ) !== 3 || png[ 24 ] !== 16 ) {
+
+	console.error( 'FAIL: DataTexture not embedded as a 4x3 16-bit PNG' );
+	textureErrorCount ++;
+
+}
+
+console.log( `Texture embedding failures: ${textureErrorCount}` );
+
+// ===== EXTERNAL TEXTURE TEST =====
+console.log( '\n=== EXTERNAL TEXTURE TEST ===' );
+let externalErrorCount = 0;
+
+const external = await new FBXExporter().parse( texturedBox, { scale: 1, format: 'ascii', externalImages: true } );
+const externalText = await external.fbx.text();
+const externalPaths = external.images.map( f => f.path ).sort();
+
+if ( externalPaths.join() !== 'textures/Heightfield.png,textures/Photo.jpg' ) {
+
+	console.error( `FAIL: Expected two external images, got ${externalPaths.join()}` );
+	externalErrorCount ++;
+
+}
+
+if ( /Content:/.test( externalText ) || ! /RelativeFilename: "textures\/Photo\.jpg"/.test( externalText ) ) {
+
+	console.error( 'FAIL: External textures must reference relative paths without Content' );
+	externalErrorCount ++;
+
+}
+
+const zipped = await new FBXExporter().parse( texturedBox, { scale: 1, externalImages: true, zip: true, fileName: 'box.fbx' } );
+const zipEntries = unzipSync( new Uint8Array( await zipped.arrayBuffer() ) );
+
+if ( Object.keys( zipEntries ).sort().join() !== 'box.fbx,textures/Heightfield.png,textures/Photo.jpg' ) {
+
+	console.error( `FAIL: Unexpected zip entries ${Object.keys( zipEntries ).join()}` );
+	externalErrorCount ++;
+
+} else if ( ! Buffer.from( zipEntries[ 'textures/Photo.jpg' ] ).equals( Buffer.from( jpegBytes ) ) ) {
+
+	console.error( 'FAIL: Zipped image bytes differ from the source' );
+	externalErrorCount ++;
+
+} else if ( Buffer.from( zipEntries[ 'box.fbx' ].subarray( 0, 18 ) ).toString() !== 'Kaydara FBX Binary' ) {
+
+	console.error( 'FAIL: Zipped FBX entry is not a binary FBX' );
+	externalErrorCount ++;
+
+}
+
+console.log( `External texture failures: ${externalErrorCount}` );
+
+// ===== MORPH TARGET TEST =====
+console.log( '\n=== MORPH TARGET TEST ===' );
+let morphErrorCount = 0;
+
+const morphGeometry = new THREE.BoxGeometry();
+const morphStretch = morphGeometry.attributes.position.clone();
+for ( let i = 0; i < morphStretch.count; i ++ ) if ( morphStretch.getY( i ) > 0 ) morphStretch.setY( i, morphStretch.getY( i ) + 1 );
+morphGeometry.morphAttributes.position = [ morphStretch ];
+const morphMesh = new THREE.Mesh( morphGeometry, new THREE.MeshLambertMaterial() );
+morphMesh.name = 'MorphBox';
+morphMesh.updateMorphTargets();
+morphMesh.morphTargetDictionary = { stretch: 0 };
+
+const morphClip = new THREE.AnimationClip( 'Stretch', 1, [
+	new THREE.NumberKeyframeTrack( 'MorphBox.morphTargetInfluences[stretch]', [ 0, 0.5, 1 ], [ 0, 1, 0 ] )
+] );
+
+const morphBlob = await new FBXExporter().parse( morphMesh, { embedImages: false, scale: 1, animations: [ morphClip ] } );
+const morphReimported = new FBXLoader().parse( await morphBlob.arrayBuffer(), '' );
+
+let reimportedMorph = null;
+morphReimported.traverse( obj => {
+
+	if ( obj.isMesh && obj.name === morphMesh.name ) reimportedMorph = obj;
+
+} );
+
+const morphAttribute = reimportedMorph?.geometry.morphAttributes.position?.[ 0 ];
+if ( ! morphAttribute || reimportedMorph.morphTargetDictionary.stretch !== 0 ) {
+
+	console.error( 'FAIL: Morph target "stretch" not re-imported' );
+	morphErrorCount ++;
+
+} else {
+
+	// FBXLoader produces relative morph targets; compare against the offsets we exported
+	const reimportedPos = reimportedMorph.geometry.attributes.position;
+	for ( let i = 0; i < reimportedPos.count; i ++ ) {
+
+		const expected = reimportedPos.getY( i ) > 0 ? 1 : 0;
+		if ( Math.abs( morphAttribute.getY( i ) - expected ) > TOLERANCE ) {
+
+			morphErrorCount ++;
+			break;
+
+		}
+
+	}
+
+	if ( morphErrorCount > 0 ) console.error( 'FAIL: Morph target offsets differ' );
+
+}
+
+const morphTrack = morphReimported.animations[ 0 ]?.tracks.find( t => t.name === 'MorphBox.morphTargetInfluences[0]' );
+if ( ! morphTrack || Array.from( morphTrack.values ).join( ',' ) !== '0,1,0' ) {
+
+	console.error( 'FAIL: Morph influence track not re-imported' );
+	morphErrorCount ++;
+
+}
+
+console.log( `Morph target failures: ${morphErrorCount}` );
+
+// ===== CAMERA / LIGHT TEST =====
+console.log( '\n=== CAMERA / LIGHT TEST ===' );
+let cameraLightErrorCount = 0;
+
+const stage = new THREE.Group();
+const stageCamera = new THREE.PerspectiveCamera( 50, 1.5, 0.1, 100 );
+stageCamera.name = 'StageCamera';
+stageCamera.position.set( 0, 2, 5 );
+stageCamera.lookAt( 0, 0, 0 );
+const stageSun = new THREE.DirectionalLight( 0xffcc88, 2 );
+stageSun.name = 'StageSun';
+stageSun.position.set( 5, 10, 0 );
+stageSun.castShadow = true;
+const stageTop = new THREE.OrthographicCamera( - 4, 4, 2, - 2, 0.1, 100 );
+stageTop.name = 'StageTop';
+stageTop.zoom = 2;
+stage.add( stageCamera, stageSun, stageTop );
+
+// FBXLoader reads window.innerWidth/innerHeight as a camera aspect fallback, even when the file provides one
+globalThis.window ??= { innerWidth: 1, innerHeight: 1 };
+
+const stageBlob = await new FBXExporter().parse( stage, { embedImages: false, scale: 1 } );
+const stageBuffer = await stageBlob.arrayBuffer();
+const stageReimported = new FBXLoader().parse( stageBuffer, '' );
+stageReimported.updateMatrixWorld( true );
+
+const reimportedCamera = stageReimported.getObjectByName( 'StageCamera' );
+const reimportedSun = stageReimported.getObjectByName( 'StageSun' );
+
+if ( ! reimportedCamera?.isPerspectiveCamera || Math.abs( reimportedCamera.fov - 50 ) > TOLERANCE || Math.abs( reimportedCamera.aspect - 1.5 ) > TOLERANCE ) {
+
+	console.error( 'FAIL: Perspective camera not re-imported with its fov and aspect' );
+	cameraLightErrorCount ++;
+
+} else {
+
+	// FBX cameras look down their local +X axis
+	const fbxForward = new THREE.Vector3( 1, 0, 0 ).applyQuaternion( reimportedCamera.getWorldQuaternion( new THREE.Quaternion() ) );
+	const forward = stageCamera.getWorldDirection( new THREE.Vector3() );
+	if ( fbxForward.distanceTo( forward ) > TOLERANCE ) {
+
+		console.error( 'FAIL: Camera orientation not converted to the FBX camera axis' );
+		cameraLightErrorCount ++;
+
+	}
+
+}
+
+// Applications that derive the fov from FocalLength and the film back (Blender fits the larger film side) get the same view,
+// and the ortho camera's larger extent is in OrthoZoom
+const cameraProps = name => {
+
+	const attribute = readFBX( stageBuffer ).nodes.find( node => node.name === 'Objects' ).children.find( node => node.name === 'NodeAttribute' && node.properties[ 1 ].startsWith( `${name}\x00` ) );
+	return Object.fromEntries( attribute.children.find( node => node.name === 'Properties70' ).children.map( node => [ node.properties[ 0 ], node.properties[ 4 ] ] ) );
+
+};
+
+const perspectiveProps = cameraProps( 'StageCamera' ), orthoProps = cameraProps( 'StageTop' );
+const filmFov = THREE.MathUtils.radToDeg( 2 * Math.atan( Math.max( perspectiveProps.FilmWidth, perspectiveProps.FilmHeight ) * 25.4 / 2 / perspectiveProps.FocalLength ) );
+const horizontalFov = THREE.MathUtils.radToDeg( 2 * Math.atan( Math.tan( THREE.MathUtils.degToRad( 25 ) ) * 1.5 ) );
+console.log( `Film back ${( perspectiveProps.FilmWidth * 25.4 ).toFixed( 2 )} x ${( perspectiveProps.FilmHeight * 25.4 ).toFixed( 2 )} mm gives a ${filmFov.toFixed( 3 )} deg horizontal fov (expected ${horizontalFov.toFixed( 3 )}); OrthoZoom ${orthoProps.OrthoZoom}` );
+if ( Math.abs( filmFov - horizontalFov ) > 1e-3 || Math.abs( perspectiveProps.FilmWidth / perspectiveProps.FilmHeight - 1.5 ) > 1e-6 || orthoProps.OrthoZoom !== 4 || orthoProps.AspectWidth !== 4 || orthoProps.AspectHeight !== 2 ) {
+
+	console.error( 'FAIL: Film back or ortho size not written where DCC importers read them' );
+	cameraLightErrorCount ++;
+
+}
+
+if ( ! reimportedSun?.isDirectionalLight || reimportedSun.color.getHex() !== 0xffcc88 || Math.abs( reimportedSun.intensity - 2 ) > TOLERANCE || ! reimportedSun.castShadow ) {
+
+	console.error( 'FAIL: Directional light not re-imported with its color, intensity and shadows' );
+	cameraLightErrorCount ++;
+
+} else {
+
+	// FBX lights shine down their local -Y axis
+	const fbxDown = new THREE.Vector3( 0, - 1, 0 ).applyQuaternion( reimportedSun.getWorldQuaternion( new THREE.Quaternion() ) );
+	const sunDirection = stageSun.position.clone().negate().normalize();
+	if ( fbxDown.distanceTo( sunDirection ) > TOLERANCE ) {
+
+		console.error( 'FAIL: Light orientation does not aim at its target' );
+		cameraLightErrorCount ++;
+
+	}
+
+}
+
+console.log( `Camera/light failures: ${cameraLightErrorCount}` );
+
+// ===== OBJECT ANIMATION TEST =====
+console.log( '\n=== OBJECT ANIMATION TEST ===' );
+let objectAnimErrorCount = 0;
+
+// A door swinging inside a group, addressed by binding path, and a camera dolly addressed by name and uuid
+const set = new THREE.Group();
+set.name = 'Set';
+const house = new THREE.Group();
+house.name = 'House';
+house.position.set( 2, 0, 0 );
+const door = new THREE.Mesh( new THREE.BoxGeometry( 1, 2, 0.1 ), new THREE.MeshLambertMaterial() );
+door.name = 'Door';
+door.position.set( 0.5, 1, 0 );
+house.add( door );
+const dolly = new THREE.PerspectiveCamera( 40, 1, 0.1, 100 );
+dolly.name = 'Dolly';
+dolly.position.set( 0, 1, 6 );
+set.add( house, dolly );
+
+const openDoor = new THREE.Quaternion().setFromAxisAngle( new THREE.Vector3( 0, 1, 0 ), Math.PI / 2 );
+const panCamera = new THREE.Quaternion().setFromAxisAngle( new THREE.Vector3( 0, 1, 0 ), Math.PI / 4 );
+const rigidClip = new THREE.AnimationClip( 'Rigid', 2, [
+	new THREE.QuaternionKeyframeTrack( 'House/Door.quaternion', [ 0, 2 ], [ 0, 0, 0, 1, ...openDoor.toArray() ] ),
+	new THREE.VectorKeyframeTrack( 'Dolly.position', [ 0, 2 ], [ 0, 1, 6, 3, 1, 6 ] ),
+	new THREE.QuaternionKeyframeTrack( `${dolly.uuid}.quaternion`, [ 0, 2 ], [ 0, 0, 0, 1, ...panCamera.toArray() ] )
+] );
+
+const rigidBlob = await new FBXExporter().parse( set, { embedImages: false, scale: 1, animations: [ rigidClip ] } );
+const rigidReimported = new FBXLoader().parse( await rigidBlob.arrayBuffer(), '' );
+
+if ( rigidReimported.animations.length === 0 ) {
+
+	console.error( 'FAIL: Object animation clip not exported' );
+	objectAnimErrorCount ++;
+
+} else {
+
+	const mixerOrig = new THREE.AnimationMixer( set ), mixerReim = new THREE.AnimationMixer( rigidReimported );
+	mixerOrig.clipAction( rigidClip ).play();
+	mixerReim.clipAction( rigidReimported.animations[ 0 ] ).play();
+
+	for ( const t of [ 0, 1, 2 ] ) {
+
+		mixerOrig.setTime( t );
+		mixerReim.setTime( t );
+		set.updateMatrixWorld( true );
+		rigidReimported.updateMatrixWorld( true );
+
+		const origDoor = door.getWorldQuaternion( new THREE.Quaternion() );
+		const reimDoor = rigidReimported.getObjectByName( 'Door' ).getWorldQuaternion( new THREE.Quaternion() );
+		if ( 1 - Math.abs( origDoor.dot( reimDoor ) ) > TOLERANCE ) {
+
+			console.error( `FAIL: t=${t} door rotation differs` );
+			objectAnimErrorCount ++;
+
+		}
+
+		// FBX cameras look down their local +X axis
+		const reimDolly = rigidReimported.getObjectByName( 'Dolly' );
+		const fbxForward = new THREE.Vector3( 1, 0, 0 ).applyQuaternion( reimDolly.getWorldQuaternion( new THREE.Quaternion() ) );
+		if ( reimDolly.getWorldPosition( new THREE.Vector3() ).distanceTo( dolly.getWorldPosition( new THREE.Vector3() ) ) > TOLERANCE || fbxForward.distanceTo( dolly.getWorldDirection( new THREE.Vector3() ) ) > TOLERANCE ) {
+
+			console.error( `FAIL: t=${t} camera move differs` );
+			objectAnimErrorCount ++;
+
+		}
+
+	}
+
+}
+
+console.log( `Object animation failures: ${objectAnimErrorCount}` );
+
+// ===== INTERPOLATION TEST =====
+console.log( '\n=== INTERPOLATION TEST ===' );
+let interpolationErrorCount = 0;
+
+// Exports a single-track clip as ASCII and returns the KeyAttrFlags / KeyAttrDataFloat arrays of each curve
+const exportCurves = async ( track ) => {
+
+	const holder = new THREE.Group();
+	holder.name = 'Holder';
+	const text = await ( await new FBXExporter().parse( holder, { scale: 1, format: 'ascii', animations: [ new THREE.AnimationClip( 'Keys', - 1, [ track ] ) ] } ) ).text();
+	const arrays = name => [ ...text.matchAll( new RegExp( `${name}: \\*\\d+ \\{\\n\\s*a: (.*)`, 'g' ) ) ].map( m => m[ 1 ].split( ',' ).map( Number ) );
+	return { flags: arrays( 'KeyAttrFlags' ), data: arrays( 'KeyAttrDataFloat' ) };
+
+};
+
+const stepped = await exportCurves( new THREE.VectorKeyframeTrack( 'Holder.position', [ 0, 1 ], [ 0, 0, 0, 1, 1, 1 ], THREE.InterpolateDiscrete ) );
+if ( stepped.flags.length !== 3 || ! stepped.flags.every( f => f.every( v => v === 0x2 ) ) ) {
+
+	console.error( `FAIL: Discrete track not written with constant key flags: ${stepped.flags.join( ' / ' )}` );
+	interpolationErrorCount ++;
+
+}
+
+const linear = await exportCurves( new THREE.VectorKeyframeTrack( 'Holder.position', [ 0, 1 ], [ 0, 0, 0, 1, 1, 1 ] ) );
+if ( ! linear.flags.every( f => f.every( v => v === 0x4 ) ) ) {
+
+	console.error( `FAIL: Linear track not written with linear key flags: ${linear.flags.join( ' / ' )}` );
+	interpolationErrorCount ++;
+
+}
+
+// Default tangent weights are the FBX SDK's packed 0x0D050D05, written as that integer in text files and bit for bit in binary ones
+const binaryCurves = readFBX( await ( await new FBXExporter().parse( Object.assign( new THREE.Group(), { name: 'Holder' } ), { scale: 1, animations: [ new THREE.AnimationClip( 'Keys', - 1, [ new THREE.VectorKeyframeTrack( 'Holder.position', [ 0, 1 ], [ 0, 0, 0, 1, 1, 1 ] ) ] ) ] } ) ).arrayBuffer() ).nodes
+	.find( node => node.name === 'Objects' ).children.filter( node => node.name === 'AnimationCurve' );
+const binaryWeights = binaryCurves.map( curve => new Uint32Array( Float32Array.from( curve.children.find( node => node.name === 'KeyAttrDataFloat' ).properties[ 0 ] ).buffer )[ 2 ] );
+if ( ! linear.data.every( d => d[ 2 ] === 0x0D050D05 && d[ 6 ] === 0x0D050D05 ) || binaryWeights.length !== 3 || ! binaryWeights.every( w => w === 0x0D050D05 ) ) {
+
+	console.error( `FAIL: Default key weights not written as 0x0D050D05: ${linear.data[ 0 ]} / ${binaryWeights}` );
+	interpolationErrorCount ++;
+
+}
+
+// x = 0, 1, 4 at t = 0, 1, 2: Catmull-Rom slopes 1, 2, 3; each key stores its right slope and the next key's left slope
+const smooth = await exportCurves( new THREE.VectorKeyframeTrack( 'Holder.position', [ 0, 1, 2 ], [ 0, 0, 0, 1, 0, 0, 4, 0, 0 ], THREE.InterpolateSmooth ) );
+const smoothX = smooth.data[ 0 ] || [];
+if ( ! smooth.flags.every( f => f.every( v => v === 0x408 ) ) || [ 1, 2, 2, 3, 3, 0 ].some( ( v, i ) => Math.abs( smoothX[ ( i >> 1 ) * 4 + ( i & 1 ) ] - v ) > TOLERANCE ) ) {
+
+	console.error( `FAIL: Smooth track slopes or flags wrong: ${smooth.flags[ 0 ]} / ${smoothX}` );
+	interpolationErrorCount ++;
+
+}
+
+// glTF-style cubic spline quaternion track turning 60 degrees per second around Y
+const spinKeys = [];
+for ( const t of [ 0, 1 ] ) {
+
+	const half = t * Math.PI / 6, rate = Math.PI / 6;
+	const tangent = [ 0, Math.cos( half ) * rate, 0, - Math.sin( half ) * rate ];
+	spinKeys.push( ...tangent, 0, Math.sin( half ), 0, Math.cos( half ), ...tangent );
+
+}
+
+const spinTrack = new THREE.QuaternionKeyframeTrack( 'Holder.quaternion', [ 0, 1 ], spinKeys );
+spinTrack.createInterpolant = function () {};
+spinTrack.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline = true;
+const spin = await exportCurves( spinTrack );
+const spinY = spin.data[ 1 ] || [];
+if ( ! spin.flags.every( f => f.every( v => v === 0xC08 ) ) || Math.abs( spinY[ 0 ] - 60 ) > 0.1 || Math.abs( spinY[ 1 ] - 60 ) > 0.1 || Math.abs( spinY[ 4 ] - 60 ) > 0.1 ) {
+
+	console.error( `FAIL: Cubic spline tangents not carried through the Euler conversion: ${spinY}` );
+	interpolationErrorCount ++;
+
+}
+
+console.log( `Interpolation failures: ${interpolationErrorCount}` );
+
+// ===== KEYFRAME REDUCTION TEST =====
+console.log( '\n=== KEYFRAME REDUCTION TEST ===' );
+let reductionErrorCount = 0;
+
+// Two seconds of 60 fps mocap-style keys: a straight walk, a steady turn and a breathing scale
+const mocap = new THREE.Group();
+mocap.name = 'Mocap';
+const mocapTimes = [], mocapPositions = [], mocapRotations = [], mocapScales = [];
+for ( let f = 0; f <= 120; f ++ ) {
+
+	const t = f / 60;
+	mocapTimes.push( t );
+	mocapPositions.push( t * 2, 0, 0 );
+	mocapRotations.push( ...new THREE.Quaternion().setFromAxisAngle( new THREE.Vector3( 0, 1, 0 ), t ).toArray() );
+	mocapScales.push( 1, 1 + 0.1 * Math.sin( t * Math.PI ), 1 );
+
+}
+
+const mocapClip = new THREE.AnimationClip( 'Mocap', 2, [
+	new THREE.VectorKeyframeTrack( 'Mocap.position', mocapTimes, mocapPositions ),
+	new THREE.QuaternionKeyframeTrack( 'Mocap.quaternion', mocapTimes, mocapRotations ),
+	new THREE.VectorKeyframeTrack( 'Mocap.scale', mocapTimes, mocapScales )
+] );
+
+const keyCounts = async ( options ) => {
+
+	const text = await ( await new FBXExporter().parse( mocap, { scale: 1, format: 'ascii', animations: [ mocapClip ], ...options } ) ).text();
+	return [ ...text.matchAll( /KeyTime: \*(\d+)/g ) ].map( m => Number( m[ 1 ] ) );
+
+};
+
+const fullCounts = await keyCounts( {} );
+const resampledCounts = await keyCounts( { resampleFps: 10 } );
+const reducedCounts = await keyCounts( { reduceKeyframes: true } );
+
+if ( fullCounts.length !== 9 || fullCounts.some( n => n !== 121 ) ) {
+
+	console.error( `FAIL: Unreduced export should keep every key: ${fullCounts}` );
+	reductionErrorCount ++;
+
+}
+
+if ( resampledCounts.some( n => n !== 21 ) ) {
+
+	console.error( `FAIL: Resampling to 10 fps should write 21 keys per curve: ${resampledCounts}` );
+	reductionErrorCount ++;
+
+}
+
+// Translation X is linear and the constant channels collapse to their end keys
+if ( reducedCounts[ 0 ] !== 2 || reducedCounts[ 1 ] !== 2 || reducedCounts.reduce( ( a, b ) => a + b, 0 ) >= 121 * 3 ) {
+
+	console.error( `FAIL: Keyframe reduction did not shrink the curves: ${reducedCounts}` );
+	reductionErrorCount ++;
+
+}
+
+const reducedBlob = await new FBXExporter().parse( mocap, { scale: 1, animations: [ mocapClip ], reduceKeyframes: { rotation: 0.5 } } );
+const reducedScene = new FBXLoader().parse( await reducedBlob.arrayBuffer(), '' );
+const reducedMocap = reducedScene.getObjectByName( 'Mocap' );
+const reducedMixer = new THREE.AnimationMixer( reducedScene ), sourceMixer = new THREE.AnimationMixer( mocap );
+reducedMixer.clipAction( reducedScene.animations[ 0 ] ).play();
+sourceMixer.clipAction( mocapClip ).play();
+
+// Angle between two rotations in degrees; atan2 keeps its precision for small angles, where Quaternion.angleTo's acos loses it
+const rotationError = ( a, b ) => {
+
+	const d = a.clone().invert().multiply( b );
+	return THREE.MathUtils.radToDeg( 2 * Math.atan2( Math.hypot( d.x, d.y, d.z ), Math.abs( d.w ) ) );
+
+};
+
+for ( const t of [ 0.1, 0.55, 1.3, 1.95 ] ) {
+
+	reducedMixer.setTime( t );
+	sourceMixer.setTime( t );
+	const angle = rotationError( reducedMocap.quaternion, mocap.quaternion );
+	if ( reducedMocap.position.distanceTo( mocap.position ) > TOLERANCE || reducedMocap.scale.distanceTo( mocap.scale ) > TOLERANCE || angle > 0.5 + 1e-3 ) {
+
+		console.error( `FAIL: t=${t} reduced animation deviates (rotation error ${angle.toFixed( 3 )} deg)` );
+		reductionErrorCount ++;
+
+	}
+
+}
+
+// A tumble around all three axes: the errors of the X, Y and Z curves must not add up past the tolerance at any source key
+const tumbleRotations = [], tumbleEuler = new THREE.Euler();
+mocapTimes.forEach( t => tumbleRotations.push( ...new THREE.Quaternion().setFromEuler( tumbleEuler.set( Math.sin( t * 2 ), t * 1.3, Math.cos( t * 3 ) * 0.8 ) ).toArray() ) );
+const tumbleClip = new THREE.AnimationClip( 'Tumble', 2, [ new THREE.QuaternionKeyframeTrack( 'Mocap.quaternion', mocapTimes, tumbleRotations ) ] );
+for ( const rotation of [ 1, 0.1 ] ) {
+
+	const tumbleScene = new FBXLoader().parse( await ( await new FBXExporter().parse( mocap, { scale: 1, animations: [ tumbleClip ], reduceKeyframes: { rotation } } ) ).arrayBuffer(), '' );
+	const tumbleMocap = tumbleScene.getObjectByName( 'Mocap' ), tumbleMixer = new THREE.AnimationMixer( tumbleScene );
+	// Played once and clamped, so the last key is sampled instead of wrapping back to the first
+	const tumbleAction = tumbleMixer.clipAction( tumbleScene.animations[ 0 ] ).setLoop( THREE.LoopOnce );
+	tumbleAction.clampWhenFinished = true;
+	tumbleAction.play();
+	const tumbleKeys = tumbleScene.animations[ 0 ].tracks[ 0 ].times.length, expected = new THREE.Quaternion();
+	let maxAngle = 0;
+	mocapTimes.forEach( ( t, k ) => {
+
+		tumbleMixer.setTime( t );
+		maxAngle = Math.max( maxAngle, rotationError( tumbleMocap.quaternion, expected.fromArray( tumbleRotations, k * 4 ) ) );
+
+	} );
+	console.log( `Three-axis rotation at tolerance ${rotation}: ${tumbleKeys} keys, max error ${maxAngle.toFixed( 4 )} deg` );
+	if ( maxAngle > rotation + 1e-3 || tumbleKeys >= mocapTimes.length ) {
+
+		console.error( `FAIL: Three-axis rotation reduced at tolerance ${rotation} reloads with ${maxAngle.toFixed( 4 )} deg of error` );
+		reductionErrorCount ++;
+
+	}
+
+}
+
+console.log( `Keys per curve: ${fullCounts[ 0 ]} -> reduced ${reducedCounts.join( ',' )}` );
+console.log( `Keyframe reduction failures: ${reductionErrorCount}` );
+
+// ===== AXIS / UNIT TEST =====
+console.log( '\n=== AXIS / UNIT TEST ===' );
+let axisErrorCount = 0;
+
+// The Blender preset writes Z-up meters. FBXLoader does not convert axes back, so the re-imported data must equal
+// the original conjugated by the Y-up to Z-up basis (X stays, Y becomes Z, Z becomes -Y)
+const zUp = new THREE.Matrix4().makeBasis( new THREE.Vector3( 1, 0, 0 ), new THREE.Vector3( 0, 0, 1 ), new THREE.Vector3( 0, - 1, 0 ) );
+const toZUp = m => m.clone().premultiply( zUp ).multiply( zUp.clone().transpose() );
+
+const zUpBlob = await new FBXExporter().parse( original, { preset: 'blender', exportMaterials: false, embedImages: false, animations: clips } );
+const zUpScene = new FBXLoader().parse( await zUpBlob.arrayBuffer(), '' );
+const zUpMixer = new THREE.AnimationMixer( zUpScene ), originalMixer = new THREE.AnimationMixer( original );
+zUpMixer.clipAction( zUpScene.animations[ 0 ] ).play();
+originalMixer.clipAction( clips[ 0 ] ).play();
+zUpMixer.setTime( 0.5 );
+originalMixer.setTime( 0.5 );
+zUpScene.updateMatrixWorld( true );
+original.updateMatrixWorld( true );
+
+const zUpBones = collectBones( zUpScene );
+let maxAxisError = 0;
+for ( const [ name, bone ] of originalBoneMap ) {
+
+	const converted = zUpBones.get( name );
+	if ( converted ) maxAxisError = Math.max( maxAxisError, compareMatrices( toZUp( bone.matrixWorld ), converted.matrixWorld ) );
+
+}
+
+let zUpSkinned = null, originalSkinned = null;
+zUpScene.traverse( obj => { if ( obj.isSkinnedMesh && ! zUpSkinned ) zUpSkinned = obj; } );
+original.traverse( obj => { if ( obj.isSkinnedMesh && ! originalSkinned ) originalSkinned = obj; } );
+maxAxisError = Math.max( maxAxisError, compareMatrices( toZUp( originalSkinned.bindMatrix ), zUpSkinned.bindMatrix ) );
+originalSkinned.skeleton.boneInverses.forEach( ( m, i ) => maxAxisError = Math.max( maxAxisError, compareMatrices( toZUp( m ), zUpSkinned.skeleton.boneInverses[ i ] ) ) );
+
+console.log( `Max Z-up conversion error (bones, bind matrices): ${maxAxisError.toFixed( 6 )}` );
+if ( maxAxisError > TOLERANCE ) {
+
+	console.error( 'FAIL: Z-up export does not match the converted original' );
+	axisErrorCount ++;
+
+}
+
+originalMixer.stopAllAction();
+originalMixer.uncacheRoot( original );
+
+const zUpText = await ( await new FBXExporter().parse( new THREE.Group(), { preset: '3dsmax', format: 'ascii' } ) ).text();
+const globalSetting = name => Number( zUpText.match( new RegExp( `P: "${name}", "[^"]*", "[^"]*", "[^"]*", ([-\\d.e]+)` ) )?.[ 1 ] );
+const expectedSettings = { UpAxis: 2, UpAxisSign: 1, FrontAxis: 1, FrontAxisSign: - 1, CoordAxis: 0, CoordAxisSign: 1, UnitScaleFactor: 2.54 };
+for ( const [ name, value ] of Object.entries( expectedSettings ) ) {
+
+	if ( Math.abs( globalSetting( name ) - value ) > 1e-6 ) {
+
+		console.error( `FAIL: GlobalSettings ${name} is ${globalSetting( name )}, expected ${value}` );
+		axisErrorCount ++;
+
+	}
+
+}
+
+// Left-handed output mirrors the data; the winding flips with it so faces keep agreeing with their normals
+const mirrorBlob = await new FBXExporter().parse( new THREE.Mesh( new THREE.BoxGeometry( 1, 2, 3 ) ), { handedness: 'left', scale: 1, embedImages: false } );
+const mirrorGeometry = new FBXLoader().parse( await mirrorBlob.arrayBuffer(), '' ).getObjectByProperty( 'type', 'Mesh' ).geometry;
+const mirrorPositions = mirrorGeometry.attributes.position, mirrorNormals = mirrorGeometry.attributes.normal;
+const triangle = new THREE.Triangle(), faceNormal = new THREE.Vector3(), vertexNormal = new THREE.Vector3();
+let windingErrors = 0;
+for ( let i = 0; i < mirrorPositions.count; i += 3 ) {
+
+	triangle.setFromAttributeAndIndices( mirrorPositions, i, i + 1, i + 2 ).getNormal( faceNormal );
+	if ( faceNormal.dot( vertexNormal.fromBufferAttribute( mirrorNormals, i ) ) < 0.99 ) windingErrors ++;
+
+}
+
+const mirrorBox = new THREE.Box3().setFromBufferAttribute( mirrorPositions ).getSize( new THREE.Vector3() );
+if ( windingErrors > 0 || mirrorBox.distanceTo( new THREE.Vector3( 1, 2, 3 ) ) > TOLERANCE ) {
+
+	console.error( `FAIL: Left-handed export has ${windingErrors} inverted faces or wrong extents` );
+	axisErrorCount ++;
+
+}
+
+// Negative scale keeps its sign through the basis change, both on the model and in scale curves, so mirrored objects stay mirrored
+const mirrored = new THREE.Mesh( new THREE.BoxGeometry(), new THREE.MeshLambertMaterial() );
+mirrored.name = 'Mirrored';
+mirrored.scale.set( - 1, 2, 3 );
+mirrored.rotation.set( 0.3, - 0.5, 0.7 );
+mirrored.updateMatrixWorld( true );
+const mirroredMatrix = mirrored.matrixWorld.clone();
+const mirrorClip = new THREE.AnimationClip( 'Mirror', - 1, [ new THREE.VectorKeyframeTrack( 'Mirrored.scale', [ 0, 1 ], [ - 1, 2, 3, 2, - 1, 0.5 ] ) ] );
+const mirroredScene = new FBXLoader().parse( await ( await new FBXExporter().parse( mirrored, { preset: 'blender', embedImages: false, animations: [ mirrorClip ] } ) ).arrayBuffer(), '' );
+const mirroredLoaded = mirroredScene.getObjectByName( 'Mirrored' );
+mirroredScene.updateMatrixWorld( true );
+let mirrorError = compareMatrices( toZUp( mirroredMatrix ), mirroredLoaded.matrixWorld );
+const mirrorMixer = new THREE.AnimationMixer( mirroredScene ), mirrorSource = new THREE.AnimationMixer( mirrored );
+mirrorMixer.clipAction( mirroredScene.animations[ 0 ] ).play();
+mirrorSource.clipAction( mirrorClip ).play();
+for ( const t of [ 0, 0.5, 1 ] ) {
+
+	mirrorMixer.setTime( t );
+	mirrorSource.setTime( t );
+	mirroredScene.updateMatrixWorld( true );
+	mirrored.updateMatrixWorld( true );
+	mirrorError = Math.max( mirrorError, compareMatrices( toZUp( mirrored.matrixWorld ), mirroredLoaded.matrixWorld ) );
+
+}
+
+console.log( `Negative scale: loaded determinant ${mirroredLoaded.matrixWorld.determinant().toFixed( 4 )}, max error ${mirrorError.toFixed( 6 )}` );
+if ( mirrorError > TOLERANCE || mirroredLoaded.matrixWorld.determinant() > 0 ) {
+
+	console.error( 'FAIL: Negative scale was not kept through the Z-up conversion' );
+	axisErrorCount ++;
+
+}
+
+let unknownUnitError = false;
+try {
+
+	await new FBXExporter().parse( new THREE.Group(), { unit: 'furlong' } );
+
+} catch ( e ) {
+
+	unknownUnitError = true;
+
+}
+
+if ( ! unknownUnitError ) {
+
+	console.error( 'FAIL: Unknown unit accepted' );
+	axisErrorCount ++;
+
+}
+
+console.log( `Axis/unit failures: ${axisErrorCount}` );
+
+// ===== INSTANCING TEST =====
+console.log( '\n=== INSTANCING TEST ===' );
+let instanceErrorCount = 0;
+
+// Two rocks sharing one BufferGeometry, and a forest of three instanced trees with per-instance colors
+const kitbash = new THREE.Group();
+const rockGeometry = new THREE.IcosahedronGeometry( 1 ), rockMaterial = new THREE.MeshLambertMaterial( { name: 'Rock' } );
+const rockA = new THREE.Mesh( rockGeometry, rockMaterial ), rockB = new THREE.Mesh( rockGeometry, rockMaterial );
+rockA.name = 'RockA';
+rockB.name = 'RockB';
+rockB.position.set( 3, 0, 0 );
+const forest = new THREE.InstancedMesh( new THREE.ConeGeometry( 1, 3 ), new THREE.MeshLambertMaterial( { name: 'Leaves' } ), 3 );
+forest.name = 'Tree';
+forest.position.set( 0, 0, - 5 );
+const treeColors = [ 0xff0000, 0x00ff00, 0xff0000 ];
+for ( let i = 0; i < 3; i ++ ) {
+
+	forest.setMatrixAt( i, new THREE.Matrix4().compose( new THREE.Vector3( i * 2, 0, 0 ), new THREE.Quaternion().setFromAxisAngle( new THREE.Vector3( 0, 1, 0 ), i ), new THREE.Vector3( 1, 1 + i, 1 ) ) );
+	forest.setColorAt( i, new THREE.Color( treeColors[ i ] ) );
+
+}
+
+kitbash.add( rockA, rockB, forest );
+kitbash.updateMatrixWorld( true );
+
+const kitbashText = await ( await new FBXExporter().parse( kitbash, { scale: 1, format: 'ascii', embedImages: false, instanceColors: true } ) ).text();
+const geometryNodes = ( kitbashText.match( /Geometry: \d+, "Geometry::/g ) || [] ).length;
+const materialNodes = ( kitbashText.match( /Material: \d+, "Material::/g ) || [] ).length;
+if ( geometryNodes !== 2 || materialNodes !== 3 ) {
+
+	console.error( `FAIL: Expected 2 shared geometries and 3 materials (rock + two tints), got ${geometryNodes} and ${materialNodes}` );
+	instanceErrorCount ++;
+
+}
+
+// Instance colors are opt-in; by default the instances share the InstancedMesh materials
+const untintedText = await ( await new FBXExporter().parse( kitbash, { scale: 1, format: 'ascii', embedImages: false } ) ).text();
+if ( ( untintedText.match( /Material: \d+, "Material::/g ) || [] ).length !== 2 ) {
+
+	console.error( 'FAIL: Instance colors written without instanceColors' );
+	instanceErrorCount ++;
+
+}
+
+const kitbashBlob = await new FBXExporter().parse( kitbash, { scale: 1, embedImages: false, instanceColors: true } );
+const kitbashScene = new FBXLoader().parse( await kitbashBlob.arrayBuffer(), '' );
+kitbashScene.updateMatrixWorld( true );
+
+for ( let i = 0; i < 3; i ++ ) {
+
+	const tree = kitbashScene.getObjectByName( `Tree_${i}` );
+	const expected = new THREE.Matrix4();
+	forest.getMatrixAt( i, expected );
+	expected.premultiply( forest.matrixWorld );
+	if ( ! tree?.isMesh || compareMatrices( tree.matrixWorld, expected ) > TOLERANCE ) {
+
+		console.error( `FAIL: Instance ${i} missing or misplaced` );
+		instanceErrorCount ++;
+
+	} else if ( tree.material.color.getHex() !== treeColors[ i ] ) {
+
+		console.error( `FAIL: Instance ${i} color ${tree.material.color.getHexString()} does not match its instanceColor` );
+		instanceErrorCount ++;
+
+	}
+
+}
+
+if ( kitbashScene.getObjectByName( 'RockA' )?.geometry.attributes.position.count !== kitbashScene.getObjectByName( 'RockB' )?.geometry.attributes.position.count ) {
+
+	console.error( 'FAIL: Shared geometry not re-imported on both models' );
+	instanceErrorCount ++;
+
+}
+
+console.log( `Instancing failures: ${instanceErrorCount}` );
+
+// ===== LARGE MESH TEST =====
+console.log( '\n=== LARGE MESH TEST ===' );
+let largeMeshErrorCount = 0;
+
+// Several megabytes per layer element, so bulk arrays land in chunks of their own and node offsets are patched across chunks
+const terrain = new THREE.Mesh( new THREE.PlaneGeometry( 100, 100, 256, 256 ), new THREE.MeshLambertMaterial( { name: 'Terrain' } ) );
+terrain.name = 'Terrain';
+const terrainPosition = terrain.geometry.attributes.position;
+for ( let i = 0; i < terrainPosition.count; i ++ ) terrainPosition.setZ( i, Math.sin( terrainPosition.getX( i ) ) * Math.cos( terrainPosition.getY( i ) ) );
+terrain.geometry.computeVertexNormals();
+terrain.updateMatrixWorld( true );
+
+for ( const compress of [ false, true ] ) {
+
+	const terrainBlob = await new FBXExporter().parse( terrain, { scale: 1, embedImages: false, compress } );
+	const terrainMesh = new FBXLoader().parse( await terrainBlob.arrayBuffer(), '' ).getObjectByName( 'Terrain' );
+	const loaded = terrainMesh?.geometry.attributes.position;
+	if ( ! loaded || loaded.count !== terrain.geometry.index.count ) {
+
+		console.error( `FAIL: Terrain (compress: ${compress}) lost corners: ${loaded?.count} of ${terrain.geometry.index.count}` );
+		largeMeshErrorCount ++;
+		continue;
+
+	}
+
+	let maxDiff = 0;
+	const indexArray = terrain.geometry.index.array;
+	for ( let i = 0; i < loaded.count; i += 97 ) for ( let c = 0; c < 3; c ++ ) maxDiff = Math.max( maxDiff, Math.abs( loaded.getComponent( i, c ) - terrainPosition.getComponent( indexArray[ i ], c ) ) );
+	console.log( `Terrain (compress: ${compress}): ${( terrainBlob.size / 1048576 ).toFixed( 1 )} MB, max position error ${maxDiff.toFixed( 6 )}` );
+	if ( maxDiff > TOLERANCE ) largeMeshErrorCount ++;
+
+}
+
+console.log( `Large mesh failures: ${largeMeshErrorCount}` );
+
+// ===== PROGRESS / WORKER TEST =====
+console.log( '\n=== PROGRESS / WORKER TEST ===' );
+let workerErrorCount = 0;
+
+const progressEvents = [];
+await new FBXExporter().parse( original, { animations: clips, embedImages: false, onProgress: event => progressEvents.push( event ) } );
+const phaseOrder = [ ...new Set( progressEvents.map( event => event.phase ) ) ];
+console.log( `Phases: ${phaseOrder.join( ' -> ' )} (${progressEvents.length} events)` );
+if ( phaseOrder.join() !== 'traverse,geometry,skin,animation,write' ) {
+
+	console.error( 'FAIL: Progress phases are missing or out of order' );
+	workerErrorCount ++;
+
+}
+
+const lastWrite = progressEvents.filter( event => event.phase === 'write' ).pop();
+if ( progressEvents.some( event => event.completed > event.total ) || lastWrite?.completed !== lastWrite?.total ) {
+
+	console.error( 'FAIL: Progress counts overrun or never complete' );
+	workerErrorCount ++;
+
+}
+
+const abortController = new AbortController();
+const abortResult = await new FBXExporter().parse( original, { animations: clips, embedImages: false, signal: abortController.signal, onProgress: event => { if ( event.phase === 'geometry' ) abortController.abort(); } } ).then( () => 'resolved', error => error.name );
+if ( abortResult !== 'AbortError' ) {
+
+	console.error( `FAIL: Aborted export ended with ${abortResult} instead of an AbortError` );
+	workerErrorCount ++;
+
+}
+
+// Stand-in for a Web Worker: messages are structured-cloned both ways, as postMessage would
+const workerPort = { onmessage: null, postMessage: ( data ) => queueMicrotask( () => self.onmessage( { data: structuredClone( data ) } ) ) };
+// The worker script talks to the global self, which is put back once the export is done so later tests don't see it
+const hadSelf = 'self' in globalThis, previousSelf = globalThis.self;
+const workerPhases = new Set();
+let workerBuffer;
+try {
+
+	globalThis.self = { postMessage: ( data ) => queueMicrotask( () => workerPort.onmessage( { data: structuredClone( data ) } ) ) };
+	await import( '../examples/jsm/exporters/FBXExporterWorker.js' );
+	workerBuffer = await new FBXExporter().parseInWorker( original, { scale: 1, exportMaterials: false, animations: clips, embedImages: false, onProgress: event => workerPhases.add( event.phase ) }, workerPort );
+
+} finally {
+
+	if ( hadSelf ) globalThis.self = previousSelf;
+	else delete globalThis.self;
+
+}
+
+const workerScene = new FBXLoader().parse( workerBuffer, '' );
+workerScene.updateMatrixWorld( true );
+const workerBones = collectBones( workerScene );
+let workerMaxDiff = 0;
+for ( const [ name, bone ] of originalBoneMap ) if ( workerBones.has( name ) ) workerMaxDiff = Math.max( workerMaxDiff, compareMatrices( bone.matrixWorld, workerBones.get( name ).matrixWorld ) );
+console.log( `Worker export: ${workerBuffer.byteLength} bytes, ${workerBones.size} bones, ${workerScene.animations.length} clips, max bone error ${workerMaxDiff.toFixed( 6 )}` );
+if ( workerBones.size !== originalBoneMap.size || workerScene.animations.length !== clips.length || workerMaxDiff > TOLERANCE || ! workerPhases.has( 'write' ) ) {
+
+	console.error( 'FAIL: Worker export does not match the scene' );
+	workerErrorCount ++;
+
+}
+
+console.log( `Progress/worker failures: ${workerErrorCount}` );
+
+// ===== VERSION TEST =====
+console.log( '\n=== VERSION TEST ===' );
+let versionErrorCount = 0;
+
+for ( const version of [ 7400, 7700 ] ) {
+
+	const versionBuffer = await ( await new FBXExporter().parse( original, { version, scale: 1, exportMaterials: false, embedImages: false, animations: clips } ) ).arrayBuffer();
+	const headerVersion = new DataView( versionBuffer ).getUint32( 23, true );
+	const footerVersion = new DataView( versionBuffer ).getUint32( versionBuffer.byteLength - 16 - 120 - 4, true );
+	const versionScene = new FBXLoader().parse( versionBuffer, '' );
+	versionScene.updateMatrixWorld( true );
+	const versionBones = collectBones( versionScene );
+	let versionMaxDiff = 0;
+	for ( const [ name, bone ] of originalBoneMap ) if ( versionBones.has( name ) ) versionMaxDiff = Math.max( versionMaxDiff, compareMatrices( bone.matrixWorld, versionBones.get( name ).matrixWorld ) );
+	console.log( `FBX ${version}: ${versionBuffer.byteLength} bytes (7500: ${exportedBuffer.byteLength}), ${versionBones.size} bones, max bone error ${versionMaxDiff.toFixed( 6 )}` );
+	if ( headerVersion !== version || footerVersion !== version ) {
+
+		console.error( `FAIL: FBX ${version} header/footer version is ${headerVersion}/${footerVersion}` );
+		versionErrorCount ++;
+
+	}
+
+	// 7400 uses 13-byte instead of 25-byte node headers, so the file shrinks
+	if ( ( version === 7400 ) !== ( versionBuffer.byteLength < exportedBuffer.byteLength ) || versionBones.size !== originalBoneMap.size || versionMaxDiff > TOLERANCE ) {
+
+		console.error( `FAIL: FBX ${version} export does not reload to the original skeleton` );
+		versionErrorCount ++;
+
+	}
+
+}
+
+const version74Text = await ( await new FBXExporter().parse( original, { version: 7400, format: 'ascii', exportMaterials: false, embedImages: false } ) ).text();
+if ( ! version74Text.startsWith( '; FBX 7.4.0 project file' ) || ! /FBXVersion: 7400/.test( version74Text ) ) {
+
+	console.error( 'FAIL: ASCII 7400 export does not declare version 7.4' );
+	versionErrorCount ++;
+
+}
+
+const unsupportedVersion = await new FBXExporter().parse( original, { version: 7300 } ).then( () => null, error => error.message );
+if ( ! /Unsupported version 7300/.test( unsupportedVersion ) ) {
+
+	console.error( 'FAIL: Unsupported version was not rejected' );
+	versionErrorCount ++;
+
+}
+
+console.log( `Version failures: ${versionErrorCount}` );
+
+// ===== VALIDATOR TEST =====
+console.log( '\n=== VALIDATOR TEST ===' );
+let validatorErrorCount = 0;
+
+const validatedExports = [ [ 'test.fbx', buffer ], [ 'export', exportedBuffer ], [ 'compressed export', await compressedBlob.arrayBuffer() ], [ 'materials', await materialBlob.arrayBuffer() ], [ 'morph targets', await morphBlob.arrayBuffer() ], [ 'camera/light stage', await stageBlob.arrayBuffer() ], [ 'object animation', await rigidBlob.arrayBuffer() ], [ 'Z-up', await zUpBlob.arrayBuffer() ], [ 'instancing', await kitbashBlob.arrayBuffer() ], [ 'worker', workerBuffer ] ];
+for ( const [ label, fbxBuffer ] of validatedExports ) {
+
+	const validation = validateFBX( fbxBuffer );
+	console.log( `${label}: ${validation.issues.length} issue(s)` );
+	validation.issues.forEach( issue => {
+
+		console.error( `FAIL: ${label} [${issue.check}] ${issue.message}` );
+		validatorErrorCount ++;
+
+	} );
+
+}
+
+// Definitions carry the standard property templates for the types that have them
+const templates = printFBX( readFBX( exportedBuffer ).nodes ).match( /PropertyTemplate: "\w+"/g ) || [];
+const morphTemplates = printFBX( readFBX( await morphBlob.arrayBuffer() ).nodes ).match( /PropertyTemplate: "\w+"/g ) || [];
+console.log( `Templates: ${templates.join( ', ' )}; morph scene: ${morphTemplates.join( ', ' )}` );
+if ( ! [ 'FbxNode', 'FbxMesh', 'FbxAnimCurveNode' ].every( name => templates.includes( `PropertyTemplate: "${name}"` ) ) || ! morphTemplates.some( t => /FbxSurface(Lambert|Phong)/.test( t ) ) ) {
+
+	console.error( 'FAIL: Definitions are missing standard PropertyTemplates' );
+	validatorErrorCount ++;
+
+}
+
+const inspected = readFBX( exportedBuffer );
+const listing = printFBX( inspected.nodes );
+if ( inspected.version !== 7500 || ! /^Objects: +{$/m.test( listing ) || ! /^\tGeometry: \d+, "Geometry::/m.test( listing ) ) {
+
+	console.error( 'FAIL: Inspector listing is missing the Objects section or its geometry' );
+	validatorErrorCount ++;
+
+}
+
+// Break one thing per check and make sure each is reported
+const broken = readFBX( exportedBuffer ).nodes;
+const brokenObjects = broken.find( node => node.name === 'Objects' ).children;
+const brokenGeometry = brokenObjects.find( node => node.name === 'Geometry' );
+const brokenIndices = brokenGeometry.children.find( node => node.name === 'PolygonVertexIndex' ).properties[ 0 ];
+brokenIndices[ brokenIndices.length - 1 ] = - brokenIndices[ brokenIndices.length - 1 ] - 1;
+const brokenCluster = brokenObjects.find( node => node.properties[ 2 ] === 'Cluster' && node.children.find( c => c.name === 'Indexes' ).properties[ 0 ].length > 0 );
+brokenCluster.children.find( node => node.name === 'Indexes' ).properties[ 0 ][ 0 ] = 1e9;
+brokenObjects.push( { name: 'Material', properties: [ brokenGeometry.properties[ 0 ], 'Duplicate\x00\x01Material', '' ], children: [] } );
+broken.find( node => node.name === 'Connections' ).children.push( { name: 'C', properties: [ 'OO', 123456789n, 0n ], children: [] } );
+const brokenChecks = new Set( validateFBX( broken ).issues.map( issue => issue.check ) );
+for ( const check of [ 'polygons', 'clusters', 'ids', 'connections' ] ) {
+
+	if ( ! brokenChecks.has( check ) ) {
+
+		console.error( `FAIL: Validator did not report a broken ${check} check` );
+		validatorErrorCount ++;
+
+	}
+
+}
+
+const truncated = validateFBX( exportedBuffer.slice( 0, exportedBuffer.byteLength >> 1 ) );
+if ( truncated.valid || truncated.issues[ 0 ]?.check !== 'structure' ) {
+
+	console.error( 'FAIL: Truncated file was not reported as a structure error' );
+	validatorErrorCount ++;
+
+}
+
+console.log( `Validator failures: ${validatorErrorCount}` );
+
+// ===== MULTIPLE SKELETON TEST =====
+console.log( '\n=== MULTIPLE SKELETON TEST ===' );
+let skeletonErrorCount = 0;
+
+// Two characters with their own skeletons, plus a prop whose two skinned meshes share one Skeleton
+const crowd = new THREE.Group();
+const heroA = cloneSkinned( original ), heroB = cloneSkinned( original );
+heroA.position.set( - 200, 0, 0 );
+heroB.position.set( 200, 0, 50 );
+heroB.rotation.y = Math.PI / 2;
+heroB.traverse( obj => { if ( obj.isBone ) obj.name += '_B'; } );
+const flag = new THREE.Group();
+flag.name = 'Flag';
+flag.position.set( 0, 0, - 300 );
+const pole = new THREE.Bone(), cloth = new THREE.Bone();
+pole.name = 'FlagPole';
+cloth.name = 'FlagCloth';
+cloth.position.y = 100;
+pole.add( cloth );
+const flagGeometry = new THREE.BoxGeometry( 10, 200, 10, 1, 4, 1 ).translate( 0, 100, 0 );
+const flagPosition = flagGeometry.attributes.position;
+flagGeometry.setAttribute( 'skinIndex', new THREE.Uint16BufferAttribute( new Array( flagPosition.count * 4 ).fill( 0 ).map( ( v, i ) => i % 4 === 0 && flagPosition.getY( i / 4 ) > 100 ? 1 : 0 ), 4 ) );
+flagGeometry.setAttribute( 'skinWeight', new THREE.Float32BufferAttribute( new Array( flagPosition.count * 4 ).fill( 0 ).map( ( v, i ) => i % 4 === 0 ? 1 : 0 ), 4 ) );
+const flagSkeleton = new THREE.Skeleton( [ pole, cloth ] );
+const flagMeshes = [ 'FlagSurface', 'FlagOutline' ].map( name => {
+
+	const mesh = new THREE.SkinnedMesh( flagGeometry, new THREE.MeshLambertMaterial() );
+	mesh.name = name;
+	return mesh;
+
+} );
+flag.add( pole, ...flagMeshes );
+crowd.add( heroA, heroB, flag );
+crowd.updateMatrixWorld( true );
+flagMeshes.forEach( mesh => mesh.bind( flagSkeleton ) );
+cloth.rotation.z = 0.5;
+crowd.updateMatrixWorld( true );
+
+const crowdBuffer = await ( await new FBXExporter().parse( crowd, { scale: 1, exportMaterials: false, embedImages: false } ) ).arrayBuffer();
+const crowdNodes = readFBX( crowdBuffer ).nodes;
+const crowdObjects = crowdNodes.find( node => node.name === 'Objects' ).children;
+const armatureNames = crowdObjects.filter( node => node.name === 'Model' && /^Armature/.test( node.properties[ 1 ] ) ).map( node => node.properties[ 1 ].split( '\x00' )[ 0 ] );
+const poses = crowdObjects.filter( node => node.name === 'Pose' );
+const poseIds = poses.flatMap( pose => pose.children.filter( node => node.name === 'PoseNode' ).map( node => node.children[ 0 ].properties[ 0 ] ) );
+console.log( `Armatures: ${armatureNames.join( ', ' )}; ${poses.length} bind pose(s) with ${poseIds.length} nodes` );
+if ( armatureNames.length !== 3 ) {
+
+	console.error( 'FAIL: Expected one armature per character and one for the prop' );
+	skeletonErrorCount ++;
+
+}
+
+if ( poses.length !== 1 || new Set( poseIds ).size !== poseIds.length || poses[ 0 ]?.children.find( node => node.name === 'NbPoseNodes' ).properties[ 0 ] !== poseIds.length ) {
+
+	console.error( 'FAIL: Expected a single bind pose listing each node once' );
+	skeletonErrorCount ++;
+
+}
+
+validateFBX( crowdBuffer ).issues.forEach( issue => {
+
+	console.error( `FAIL: [${issue.check}] ${issue.message}` );
+	skeletonErrorCount ++;
+
+} );
+
+const crowdScene = new FBXLoader().parse( crowdBuffer, '' );
+crowdScene.updateMatrixWorld( true );
+const crowdBones = collectBones( crowdScene );
+let crowdMaxDiff = 0, crowdMissing = 0;
+crowd.traverse( obj => {
+
+	if ( ! obj.isBone ) return;
+	const bone = crowdBones.get( obj.name );
+	if ( ! bone ) crowdMissing ++;
+	else crowdMaxDiff = Math.max( crowdMaxDiff, compareMatrices( obj.matrixWorld, bone.matrixWorld ) );
+
+} );
+console.log( `Bones: ${crowdBones.size} re-imported, ${crowdMissing} missing, max world error ${crowdMaxDiff.toFixed( 6 )}` );
+if ( crowdMissing > 0 || crowdMaxDiff > TOLERANCE ) {
+
+	console.error( 'FAIL: Bones of one of the skeletons were misplaced' );
+	skeletonErrorCount ++;
+
+}
+
+const flagSkeletons = [ 'FlagSurface', 'FlagOutline' ].map( name => crowdScene.getObjectByName( name )?.skeleton?.bones.map( bone => bone.name ).sort().join() );
+if ( ! flagSkeletons[ 0 ] || flagSkeletons[ 0 ] !== flagSkeletons[ 1 ] || ! flagSkeletons[ 0 ].includes( 'FlagCloth' ) ) {
+
+	console.error( `FAIL: Meshes sharing one Skeleton re-imported with different bones (${flagSkeletons.join( ' / ' )})` );
+	skeletonErrorCount ++;
+
+}
+
+// Two independent rigs whose root bones sit side by side under one Group still get an armature each
+const pair = new THREE.Group();
+const rigs = [ 'A', 'B' ].map( ( prefix, i ) => {
+
+	const hips = new THREE.Bone(), spine = new THREE.Bone();
+	hips.name = `${prefix}_Hips`;
+	spine.name = `${prefix}_Spine`;
+	hips.position.set( i * 100, 90, 0 );
+	spine.position.y = 20;
+	hips.add( spine );
+	const geometry = new THREE.BoxGeometry( 20, 60, 20 ).translate( i * 100, 110, 0 );
+	geometry.setAttribute( 'skinIndex', new THREE.Uint16BufferAttribute( new Array( geometry.attributes.position.count * 4 ).fill( 0 ), 4 ) );
+	geometry.setAttribute( 'skinWeight', new THREE.Float32BufferAttribute( new Array( geometry.attributes.position.count * 4 ).fill( 0 ).map( ( v, k ) => k % 4 === 0 ? 1 : 0 ), 4 ) );
+	const body = new THREE.SkinnedMesh( geometry, new THREE.MeshLambertMaterial() );
+	body.name = `${prefix}_Body`;
+	pair.add( hips, body );
+	return { hips, body, skeleton: new THREE.Skeleton( [ hips, spine ] ) };
+
+} );
+pair.updateMatrixWorld( true );
+rigs.forEach( ( { body, skeleton } ) => body.bind( skeleton ) );
+const pairNodes = readFBX( await ( await new FBXExporter().parse( pair, { scale: 1, exportMaterials: false, embedImages: false } ) ).arrayBuffer() ).nodes;
+const pairModels = pairNodes.find( node => node.name === 'Objects' ).children.filter( node => node.name === 'Model' );
+const pairName = id => pairModels.find( node => node.properties[ 0 ] === id )?.properties[ 1 ].split( '\x00' )[ 0 ];
+const pairArmatures = new Map();
+pairNodes.find( node => node.name === 'Connections' ).children.forEach( node => {
+
+	const child = pairName( node.properties[ 1 ] ), parent = pairName( node.properties[ 2 ] );
+	if ( child && /^Armature/.test( parent ) ) pairArmatures.set( parent, [ ...( pairArmatures.get( parent ) || [] ), child ] );
+
+} );
+const pairSummary = [ ...pairArmatures ].map( ( [ name, children ] ) => `${name}: ${children.join( ', ' )}` ).sort();
+console.log( `Side-by-side rigs: ${pairSummary.join( '; ' )}` );
+if ( pairSummary.length !== 2 || pairSummary[ 0 ] !== 'Armature: A_Hips' || pairSummary[ 1 ] !== 'Armature_1: B_Hips' ) {
+
+	console.error( 'FAIL: Independent skeletons under one parent should get an armature each' );
+	skeletonErrorCount ++;
+
+}
+
+console.log( `Multiple skeleton failures: ${skeletonErrorCount}` );
+
+// ===== ID AND METADATA TEST =====
+console.log( '\n=== ID AND METADATA TEST ===' );
+let idErrorCount = 0;
+
+const stableOptions = { scale: 1, exportMaterials: false, embedImages: false, animations: clips, creationTime: new Date( Date.UTC( 2024, 5, 1, 12, 30, 15, 250 ) ) };
+const exportBytes = async options => new Uint8Array( await ( await new FBXExporter().parse( original, { ...stableOptions, ...options } ) ).arrayBuffer() );
+const modelIdsByName = bytes => new Map( readFBX( bytes ).nodes.find( node => node.name === 'Objects' ).children.filter( node => node.name === 'Model' ).map( node => [ node.properties[ 1 ], node.properties[ 0 ] ] ) );
+const sameBytes = ( a, b ) => a.length === b.length && a.every( ( v, i ) => v === b[ i ] );
+
+// Exports started together must not share an ID counter
+const [ firstBytes, secondBytes ] = await Promise.all( [ exportBytes(), exportBytes() ] );
+const thirdBytes = await exportBytes();
+console.log( `Sequential: ${firstBytes.length} bytes, identical across runs: ${sameBytes( firstBytes, secondBytes ) && sameBytes( firstBytes, thirdBytes )}` );
+if ( ! sameBytes( firstBytes, secondBytes ) || ! sameBytes( firstBytes, thirdBytes ) ) {
+
+	console.error( 'FAIL: Exports of the same scene with the same creationTime differ' );
+	idErrorCount ++;
+
+}
+
+const uuidBytes = await exportBytes( { idMode: 'uuid' } );
+const extra = new THREE.Object3D();
+extra.name = 'ExtraNull';
+original.children[ 0 ].add( extra );
+const uuidExtraBytes = await exportBytes( { idMode: 'uuid' } );
+const sequentialExtraBytes = await exportBytes();
+extra.removeFromParent();
+const uuidIds = modelIdsByName( uuidBytes ), uuidExtraIds = modelIdsByName( uuidExtraBytes );
+const sequentialIds = modelIdsByName( firstBytes ), sequentialExtraIds = modelIdsByName( sequentialExtraBytes );
+const changed = ( before, after ) => [ ...before ].filter( ( [ name, id ] ) => after.get( name ) !== id ).length;
+console.log( `Adding a Null changed ${changed( uuidIds, uuidExtraIds )} uuid and ${changed( sequentialIds, sequentialExtraIds )} sequential model IDs` );
+if ( ! sameBytes( uuidBytes, await exportBytes( { idMode: 'uuid' } ) ) || changed( uuidIds, uuidExtraIds ) !== 0 || uuidExtraIds.size !== uuidIds.size + 1 ) {
+
+	console.error( 'FAIL: uuid IDs are not stable across exports and scene edits' );
+	idErrorCount ++;
+
+}
+
+[ uuidBytes, uuidExtraBytes ].forEach( bytes => validateFBX( bytes ).issues.forEach( issue => {
+
+	console.error( `FAIL: [${issue.check}] ${issue.message}` );
+	idErrorCount ++;
+
+} ) );
+
+if ( [ ...uuidExtraIds.values() ].some( id => id >= 2n ** 53n ) ) {
+
+	console.error( 'FAIL: uuid IDs do not fit in a JavaScript number' );
+	idErrorCount ++;
+
+}
+
+const sceneInfo = { title: 'Roundtrip', author: 'Test Author', applicationName: 'Roundtrip Test', applicationVersion: '1.2.3' };
+const metadataNodes = readFBX( await exportBytes( { creator: 'Roundtrip Creator', sceneInfo } ) ).nodes;
+const find = ( node, path ) => path.reduce( ( current, name ) => current?.children.find( child => child.name === name ), node );
+const header = metadataNodes.find( node => node.name === 'FBXHeaderExtension' );
+const stampValues = [ 'Year', 'Month', 'Day', 'Hour', 'Minute', 'Second', 'Millisecond' ].map( name => find( header, [ 'CreationTimeStamp', name ] )?.properties[ 0 ] );
+const infoProperties = new Map( find( header, [ 'SceneInfo', 'Properties70' ] ).children.map( node => [ node.properties[ 0 ], node.properties[ 4 ] ] ) );
+console.log( `Header: ${stampValues.join( ' ' )}, ${find( header, [ 'Creator' ] ).properties[ 0 ]}, ${infoProperties.get( 'Original|ApplicationName' )} ${infoProperties.get( 'Original|ApplicationVersion' )} (${infoProperties.get( 'Original|DateTime_GMT' )})` );
+if ( stampValues.join() !== '2024,6,1,12,30,15,250' || infoProperties.get( 'LastSaved|DateTime_GMT' ) !== '01/06/2024 12:30:15.250' ) {
+
+	console.error( 'FAIL: creationTime was not written to the header' );
+	idErrorCount ++;
+
+}
+
+if ( find( header, [ 'Creator' ] ).properties[ 0 ] !== 'Roundtrip Creator' || metadataNodes.find( node => node.name === 'Creator' )?.properties[ 0 ] !== 'Roundtrip Creator' ) {
+
+	console.error( 'FAIL: creator was not written to the header and the top-level Creator' );
+	idErrorCount ++;
+
+}
+
+if ( find( header, [ 'SceneInfo', 'MetaData', 'Title' ] )?.properties[ 0 ] !== 'Roundtrip' || find( header, [ 'SceneInfo', 'MetaData', 'Author' ] )?.properties[ 0 ] !== 'Test Author' || infoProperties.get( 'Original|ApplicationName' ) !== 'Roundtrip Test' || infoProperties.get( 'LastSaved|ApplicationVersion' ) !== '1.2.3' || infoProperties.get( 'DocumentUrl' ) !== 'scene.fbx' ) {
+
+	console.error( 'FAIL: sceneInfo fields were not written to SceneInfo' );
+	idErrorCount ++;
+
+}
+
+const defaultStamp = find( readFBX( await ( await new FBXExporter().parse( original, { exportMaterials: false, embedImages: false } ) ).arrayBuffer() ).nodes.find( node => node.name === 'FBXHeaderExtension' ), [ 'CreationTimeStamp', 'Year' ] ).properties[ 0 ];
+if ( defaultStamp !== new Date().getUTCFullYear() ) {
+
+	console.error( `FAIL: Default CreationTimeStamp year is ${defaultStamp}, not the current year` );
+	idErrorCount ++;
+
+}
+
+const unknownIdMode = await new FBXExporter().parse( original, { idMode: 'random' } ).then( () => null, error => error.message );
+if ( ! /Unknown idMode "random"/.test( unknownIdMode ) ) {
+
+	console.error( 'FAIL: Unknown idMode was not rejected' );
+	idErrorCount ++;
+
+}
+
+console.log( `ID and metadata failures: ${idErrorCount}` );
+
+// ===== USER PROPERTY TEST =====
+console.log( '\n=== USER PROPERTY TEST ===' );
+let userPropertyErrorCount = 0;
+
+const crate = new THREE.Mesh( new THREE.BoxGeometry( 1, 1, 1 ), new THREE.MeshStandardMaterial() );
+crate.name = 'Crate';
+crate.userData = { collision: 'box', lod: 2, mass: 12.5, static: true, socket: [ 0, 1.5, 0 ], offset: new THREE.Vector3( 1, 2, 3 ), tint: new THREE.Color( 1, 0, 0 ), nested: { a: 1 }, export: true };
+crate.material.name = 'CrateMaterial';
+crate.material.userData = { surface: 'metal' };
+const userScene = new THREE.Group().add( crate );
+const userProperties = async exportUserData => {
+
+	const nodes = readFBX( await ( await new FBXExporter().parse( userScene, { exportUserData, embedImages: false } ) ).arrayBuffer() ).nodes;
+	const objects = nodes.find( node => node.name === 'Objects' ).children;
+	const properties = name => new Map( objects.find( node => node.properties[ 1 ]?.startsWith( `${name}\x00` ) ).children.find( node => node.name === 'Properties70' ).children
+		.filter( node => node.properties[ 3 ].includes( 'U' ) ).map( node => [ node.properties[ 0 ], node.properties.slice( 1 ) ] ) );
+	return { model: properties( 'Crate' ), material: properties( 'CrateMaterial' ) };
+
+};
+
+const defaultUser = await userProperties( undefined );
+if ( defaultUser.model.size > 0 || defaultUser.material.size > 0 ) {
+
+	console.error( 'FAIL: userData was exported without exportUserData' );
+	userPropertyErrorCount ++;
+
+}
+
+const allUser = await userProperties( true );
+console.log( `Model user properties: ${[ ...allUser.model.keys() ].join( ', ' )}; material: ${[ ...allUser.material.keys() ].join( ', ' )}` );
+const expectedUser = {
+	collision: [ 'KString', '', 'U', 'box' ],
+	lod: [ 'int', 'Integer', 'A+U', 2 ],
+	mass: [ 'double', 'Number', 'A+U', 12.5 ],
+	static: [ 'bool', '', 'A+U', 1 ],
+	socket: [ 'Vector3D', 'Vector', 'A+U', 0, 1.5, 0 ],
+	offset: [ 'Vector3D', 'Vector', 'A+U', 1, 2, 3 ],
+	tint: [ 'ColorRGB', 'Color', 'A+U', 1, 0, 0 ]
+};
+for ( const [ key, expected ] of Object.entries( expectedUser ) ) {
+
+	const actual = allUser.model.get( key )?.map( v => typeof v === 'number' ? Math.round( v * 1e6 ) / 1e6 : v );
+	if ( JSON.stringify( actual ) !== JSON.stringify( expected ) ) {
+
+		console.error( `FAIL: User property ${key} is ${JSON.stringify( allUser.model.get( key ) )}, expected ${JSON.stringify( expected )}` );
+		userPropertyErrorCount ++;
+
+	}
+
+}
+
+if ( allUser.model.size !== Object.keys( expectedUser ).length || allUser.material.get( 'surface' )?.[ 3 ] !== 'metal' ) {
+
+	console.error( 'FAIL: Nested values or userData.export were written, or material userData is missing' );
+	userPropertyErrorCount ++;
+
+}
+
+const filteredUser = await userProperties( ( key, value, object ) => key === 'lod' ? undefined : ( typeof value === 'string' ? `${object.name}:${value}` : value ) );
+if ( filteredUser.model.has( 'lod' ) || filteredUser.model.get( 'collision' )?.[ 3 ] !== 'Crate:box' || filteredUser.material.get( 'surface' )?.[ 3 ] !== 'CrateMaterial:metal' ) {
+
+	console.error( 'FAIL: exportUserData filter did not drop and map values' );
+	userPropertyErrorCount ++;
+
+}
+
+const userAscii = await ( await new FBXExporter().parse( userScene, { exportUserData: true, format: 'ascii', embedImages: false } ) ).text();
+if ( ! userAscii.includes( 'P: "collision", "KString", "", "U", "box"' ) ) {
+
+	console.error( 'FAIL: ASCII export does not contain the user properties' );
+	userPropertyErrorCount ++;
+
+}
+
+console.log( `User property failures: ${userPropertyErrorCount}` );
+
+// ===== PLUGIN TEST =====
+console.log( '\n=== PLUGIN TEST ===' );
+let pluginErrorCount = 0;
+
+const pluginScene = new THREE.Group();
+pluginScene.name = 'PluginScene';
+const pluginBox = new THREE.Mesh( new THREE.BoxGeometry( 1, 1, 1 ), new THREE.MeshLambertMaterial() );
+pluginBox.name = 'PluginBox';
+pluginBox.material.name = 'PluginMaterial';
+const skipped = new THREE.Object3D();
+skipped.name = 'SkipMe';
+const helperMesh = new THREE.Mesh( pluginBox.geometry, pluginBox.material );
+helperMesh.name = 'helper_gizmo';
+pluginScene.add( pluginBox, skipped, helperMesh );
+const hookCalls = [];
+class SocketPlugin {
+
+	constructor( context ) {
+
+		this.context = context;
+
+	}
+
+	beforeParse( root ) {
+
+		hookCalls.push( `beforeParse:${root === pluginScene}` );
+
+	}
+
+	filterObject( object ) {
+
+		return object.name !== 'SkipMe';
+
+	}
+
+	writeModel( object, modelNode ) {
+
+		hookCalls.push( `writeModel:${object.name}` );
+		modelNode.children.find( node => node.name === 'Properties70' ).addChild( createP( 'Exported', 'KString', '', 'U', 'yes' ) );
+
+	}
+
+	writeGeometry( mesh, geometryNode ) {
+
+		hookCalls.push( `writeGeometry:${mesh.name}` );
+		geometryNode.addChild( new FbxNode( 'PluginTag' ).addProperty( 'geometry' ) );
+
+	}
+
+	writeMaterial( material, materialNode ) {
+
+		hookCalls.push( `writeMaterial:${material.name}` );
+		materialNode.children.find( node => node.name === 'ShadingModel' ).properties[ 0 ] = 'Unlit';
+
+	}
+
+	afterParse() {
+
+		hookCalls.push( 'afterParse' );
+		// A socket Null parented to the box
+		const socketId = this.context.generateId( 'Socket' );
+		this.context.objects.addChild( new FbxNode( 'Model' ).addProperty( socketId ).addProperty( nameWithClass( 'Socket_Hand', 'Model' ) ).addProperty( 'Null' ).addChild( new FbxNode( 'Version' ).addProperty( 232 ) ) );
+		this.context.connect( socketId, this.context.getModelId( pluginBox ) );
+
+	}
+
+}
+
+const pluginCallback = context => new SocketPlugin( context );
+const pluginExporter = new FBXExporter().register( pluginCallback ).register( pluginCallback );
+const pluginExport = async () => {
+
+	const bytes = await ( await pluginExporter.parse( pluginScene, { embedImages: false } ) ).arrayBuffer();
+	const nodes = readFBX( bytes ).nodes;
+	const objects = nodes.find( node => node.name === 'Objects' ).children;
+	const models = new Map( objects.filter( node => node.name === 'Model' ).map( node => [ node.properties[ 1 ].split( '\x00' )[ 0 ], node ] ) );
+	return { bytes, nodes, objects, models };
+
+};
+
+const withHelpers = await pluginExport();
+console.log( `Hooks: ${hookCalls.join( ', ' )}` );
+if ( hookCalls.join() !== 'beforeParse:true,writeModel:PluginScene,writeModel:PluginBox,writeGeometry:PluginBox,writeMaterial:PluginMaterial,afterParse' ) {
+
+	console.error( 'FAIL: Plugin hooks were not called once each, in order' );
+	pluginErrorCount ++;
+
+}
+
+const socket = withHelpers.models.get( 'Socket_Hand' );
+const socketConnection = withHelpers.nodes.find( node => node.name === 'Connections' ).children.find( node => node.properties[ 1 ] === socket?.properties[ 0 ] );
+if ( withHelpers.models.has( 'SkipMe' ) || withHelpers.models.has( 'helper_gizmo' ) || ! socket || socketConnection?.properties[ 2 ] !== withHelpers.models.get( 'PluginBox' ).properties[ 0 ] ) {
+
+	console.error( 'FAIL: filterObject, the built-in helper filter or afterParse connections did not apply' );
+	pluginErrorCount ++;
+
+}
+
+const pluginBoxProps = withHelpers.models.get( 'PluginBox' ).children.find( node => node.name === 'Properties70' ).children;
+const pluginGeometry = withHelpers.objects.find( node => node.name === 'Geometry' );
+const pluginMaterial = withHelpers.objects.find( node => node.name === 'Material' );
+if ( ! pluginBoxProps.some( node => node.properties[ 0 ] === 'Exported' ) || ! pluginGeometry.children.some( node => node.name === 'PluginTag' ) || pluginMaterial.children.find( node => node.name === 'ShadingModel' ).properties[ 0 ] !== 'Unlit' ) {
+
+	console.error( 'FAIL: Nodes changed by writeModel, writeGeometry or writeMaterial were not written' );
+	pluginErrorCount ++;
+
+}
+
+validateFBX( withHelpers.bytes ).issues.forEach( issue => {
+
+	console.error( `FAIL: [${issue.check}] ${issue.message}` );
+	pluginErrorCount ++;
+
+} );
+
+pluginExporter.unregister( FBXExporter.helperFilter ).unregister( pluginCallback );
+const withoutPlugins = await pluginExport();
+console.log( `Models without plugins: ${[ ...withoutPlugins.models.keys() ].join( ', ' )}` );
+if ( ! withoutPlugins.models.has( 'helper_gizmo' ) || ! withoutPlugins.models.has( 'SkipMe' ) || withoutPlugins.models.has( 'Socket_Hand' ) ) {
+
+	console.error( 'FAIL: Unregistered plugins still ran' );
+	pluginErrorCount ++;
+
+}
+
+console.log( `Plugin failures: ${pluginErrorCount}` );
+
+// ===== POLYGON TEST =====
+console.log( '\n=== POLYGON TEST ===' );
+let polygonErrorCount = 0;
+
+function surfaceArea( geometry ) {
+
+	const position = geometry.attributes.position, index = geometry.index, count = index ? index.count : position.count;
+	const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+	let area = 0;
+	for ( let i = 0; i + 2 < count; i += 3 ) {
+
+		const [ i0, i1, i2 ] = [ i, i + 1, i + 2 ].map( k => index ? index.getX( k ) : k );
+		a.fromBufferAttribute( position, i0 ); b.fromBufferAttribute( position, i1 ); c.fromBufferAttribute( position, i2 );
+		area += b.sub( a ).cross( c.sub( a ) ).length() / 2;
+
+	}
+
+	return area;
+
+}
+
+function polygonSizes( nodes, name ) {
+
+	const geometry = nodes.find( node => node.name === 'Objects' ).children.find( node => node.name === 'Geometry' && node.properties[ 1 ].startsWith( `${name}\x00` ) );
+	const sizes = [];
+	let size = 0;
+	for ( const index of geometry.children.find( node => node.name === 'PolygonVertexIndex' ).properties[ 0 ] ) {
+
+		size ++;
+		if ( index < 0 ) {
+
+			sizes.push( size );
+			size = 0;
+
+		}
+
+	}
+
+	return { geometry, sizes };
+
+}
+
+// Copies position, normal and uv into one strided buffer, the way GLTFLoader loads interleaved glTF accessors
+function interleave( geometry ) {
+
+	const names = [ 'position', 'normal', 'uv' ], stride = names.reduce( ( sum, name ) => sum + geometry.attributes[ name ].itemSize, 0 );
+	const buffer = new THREE.InterleavedBuffer( new Float32Array( geometry.attributes.position.count * stride ), stride ), result = new THREE.BufferGeometry();
+	let offset = 0;
+	for ( const name of names ) {
+
+		const source = geometry.attributes[ name ], attribute = new THREE.InterleavedBufferAttribute( buffer, source.itemSize, offset );
+		for ( let v = 0; v < source.count; v ++ ) for ( let c = 0; c < source.itemSize; c ++ ) buffer.array[ v * stride + offset + c ] = source.array[ v * source.itemSize + c ];
+		result.setAttribute( name, attribute );
+		offset += source.itemSize;
+
+	}
+
+	result.setIndex( geometry.index );
+	geometry.groups.forEach( group => result.addGroup( group.start, group.count, group.materialIndex ) );
+	return result;
+
+}
+
+const hardSurface = new THREE.Group();
+const shapes = {
+	Grid: new THREE.PlaneGeometry( 10, 10, 4, 4 ),
+	Cylinder: new THREE.CylinderGeometry( 1, 1, 2, 8 ),
+	Ball: new THREE.SphereGeometry( 1, 12, 8 ),
+	Strided: interleave( new THREE.BoxGeometry( 2, 2, 2 ) )
+};
+Object.entries( shapes ).forEach( ( [ name, geometry ], i ) => {
+
+	const mesh = new THREE.Mesh( geometry, new THREE.MeshLambertMaterial() );
+	mesh.name = name;
+	mesh.position.x = i * 12;
+	hardSurface.add( mesh );
+
+} );
+hardSurface.updateMatrixWorld( true );
+
+for ( const [ polygons, handedness ] of [ [ 'triangles', 'right' ], [ 'quads', 'right' ], [ 'ngons', 'right' ], [ 'quads', 'left' ] ] ) {
+
+	const polygonBuffer = await ( await new FBXExporter().parse( hardSurface, { polygons, smoothing: 'edge', handedness, scale: 1, embedImages: false } ) ).arrayBuffer();
+	const polygonNodes = readFBX( polygonBuffer ).nodes;
+	const polygonScene = new FBXLoader().parse( polygonBuffer, '' );
+	const summary = [];
+	for ( const name of Object.keys( shapes ) ) {
+
+		const { geometry, sizes } = polygonSizes( polygonNodes, name );
+		const edges = geometry.children.find( node => node.name === 'Edges' )?.properties[ 0 ];
+		const smoothingValues = geometry.children.find( node => node.name === 'LayerElementSmoothing' )?.children.find( node => node.name === 'Smoothing' ).properties[ 0 ];
+		const originalArea = surfaceArea( shapes[ name ] ), loadedArea = surfaceArea( polygonScene.getObjectByName( name ).geometry );
+		summary.push( `${name} ${sizes.length} polygons (max ${Math.max( ...sizes )} corners), ${edges?.length} edges` );
+		if ( Math.abs( originalArea - loadedArea ) > 1e-3 * originalArea ) {
+
+			console.error( `FAIL: ${name} (${polygons}, ${handedness}) re-imported with area ${loadedArea.toFixed( 4 )} instead of ${originalArea.toFixed( 4 )}` );
+			polygonErrorCount ++;
+
+		}
+
+		// Smooth shapes without normal seams inside a polygon strip have no hard edges
+		if ( ! edges || ! smoothingValues || smoothingValues.length !== edges.length || ( name !== 'Cylinder' && smoothingValues.some( v => v !== 1 ) ) ) {
+
+			console.error( `FAIL: ${name} (${polygons}) Edges and ByEdge smoothing do not match` );
+			polygonErrorCount ++;
+
+		}
+
+	}
+
+	// N-gons grow while they stay convex, so a flat grid becomes a few large polygons rather than a fixed count
+	const gridSizes = polygonSizes( polygonNodes, 'Grid' ).sizes, cylinderSizes = polygonSizes( polygonNodes, 'Cylinder' ).sizes;
+	const stridedSizes = polygonSizes( polygonNodes, 'Strided' ).sizes;
+	const gridExpected = { triangles: gridSizes.length === 32, quads: gridSizes.length === 16 && gridSizes.every( size => size === 4 ), ngons: gridSizes.length < 16 && cylinderSizes.length < 16 && Math.max( ...cylinderSizes ) > 4 }[ polygons ];
+	// The interleaved box merges like a plain one: six quads
+	if ( ! gridExpected || ( polygons !== 'triangles' && ( stridedSizes.length !== 6 || stridedSizes.some( size => size !== 4 ) ) ) ) {
+
+		console.error( `FAIL: ${polygons} produced ${gridSizes.length} grid, ${cylinderSizes.length} cylinder and ${stridedSizes.length} interleaved box polygons` );
+		polygonErrorCount ++;
+
+	}
+
+	console.log( `${polygons} (${handedness}): ${summary.join( '; ' )}` );
+	validateFBX( polygonBuffer ).issues.forEach( issue => {
+
+		console.error( `FAIL: [${issue.check}] ${issue.message}` );
+		polygonErrorCount ++;
+
+	} );
+
+}
+
+// Smoothing groups: polygons joined by smooth edges share a bit
+const groupNodes = readFBX( await ( await new FBXExporter().parse( hardSurface, { polygons: 'quads', smoothing: 'polygon', embedImages: false } ) ).arrayBuffer() ).nodes;
+const ballGroups = polygonSizes( groupNodes, 'Ball' ).geometry.children.find( node => node.name === 'LayerElementSmoothing' );
+const ballValues = ballGroups?.children.find( node => node.name === 'Smoothing' ).properties[ 0 ];
+if ( ballGroups?.children.find( node => node.name === 'MappingInformationType' ).properties[ 0 ] !== 'ByPolygon' || ballValues.length !== polygonSizes( groupNodes, 'Ball' ).sizes.length || new Set( ballValues ).size !== 1 || ballValues[ 0 ] === 0 ) {
+
+	console.error( 'FAIL: A smooth sphere should be a single smoothing group' );
+	polygonErrorCount ++;
+
+}
+
+// The skinned character keeps its bones and surface with merged polygons
+const quadBuffer = await ( await new FBXExporter().parse( original, { polygons: 'quads', smoothing: 'edge', scale: 1, exportMaterials: false, embedImages: false } ) ).arrayBuffer();
+const quadScene = new FBXLoader().parse( quadBuffer, '' );
+quadScene.updateMatrixWorld( true );
+const quadBones = collectBones( quadScene );
+let quadMaxDiff = 0;
+for ( const [ name, bone ] of originalBoneMap ) if ( quadBones.has( name ) ) quadMaxDiff = Math.max( quadMaxDiff, compareMatrices( bone.matrixWorld, quadBones.get( name ).matrixWorld ) );
+let originalSurface = 0, quadSurface = 0;
+original.traverse( obj => { if ( obj.isMesh ) originalSurface += surfaceArea( obj.geometry ); } );
+quadScene.traverse( obj => { if ( obj.isMesh ) quadSurface += surfaceArea( obj.geometry ); } );
+const quadCount = readFBX( quadBuffer ).nodes.find( node => node.name === 'Objects' ).children.filter( node => node.name === 'Geometry' ).reduce( ( sum, geometry ) => sum + geometry.children.find( node => node.name === 'PolygonVertexIndex' ).properties[ 0 ].filter( i => i < 0 ).length, 0 );
+console.log( `Character: ${quadCount} polygons, surface ${quadSurface.toFixed( 2 )} of ${originalSurface.toFixed( 2 )}, max bone error ${quadMaxDiff.toFixed( 6 )}` );
+if ( Math.abs( quadSurface - originalSurface ) > 1e-3 * originalSurface || quadBones.size !== originalBoneMap.size || quadMaxDiff > TOLERANCE || validateFBX( quadBuffer ).issues.length > 0 ) {
+
+	console.error( 'FAIL: Character export with quads does not match the original' );
+	polygonErrorCount ++;
+
+}
+
+const unknownPolygons = await new FBXExporter().parse( original, { polygons: 'hexagons' } ).then( () => null, error => error.message );
+if ( ! /Unknown polygons "hexagons"/.test( unknownPolygons ) ) {
+
+	console.error( 'FAIL: Unknown polygons mode was not rejected' );
+	polygonErrorCount ++;
+
+}
+
+console.log( `Polygon failures: ${polygonErrorCount}` );
+
+// ===== WELD TEST =====
+console.log( '\n=== WELD TEST ===' );
+let weldErrorCount = 0;
+
+const childNode = ( node, name ) => node?.children.find( child => child.name === name );
+const weldScene = new THREE.Group();
+const weldBox = new THREE.Mesh( new THREE.BoxGeometry( 2, 2, 2 ), new THREE.MeshLambertMaterial() );
+weldBox.name = 'WeldBox';
+// A blend shape raising the top face
+const raised = weldBox.geometry.attributes.position.clone();
+for ( let i = 0; i < raised.count; i ++ ) if ( raised.getY( i ) > 0 ) raised.setY( i, raised.getY( i ) + 1 );
+weldBox.geometry.morphAttributes.position = [ raised ];
+weldBox.updateMorphTargets();
+const weldBall = new THREE.Mesh( new THREE.SphereGeometry( 1, 16, 12 ).toNonIndexed(), new THREE.MeshLambertMaterial() );
+weldBall.name = 'WeldBall';
+weldBall.position.x = 5;
+weldScene.add( weldBox, weldBall );
+weldScene.updateMatrixWorld( true );
+
+const weldBuffer = await ( await new FBXExporter().parse( weldScene, { weldVertices: true, polygons: 'quads', smoothing: 'edge', scale: 1, embedImages: false } ) ).arrayBuffer();
+const weldNodes = readFBX( weldBuffer ).nodes;
+const weldGeometry = name => {
+
+	const { geometry, sizes } = polygonSizes( weldNodes, name );
+	const smoothingValues = childNode( childNode( geometry, 'LayerElementSmoothing' ), 'Smoothing' )?.properties[ 0 ];
+	return { points: childNode( geometry, 'Vertices' ).properties[ 0 ].length / 3, polygons: sizes.length, edges: childNode( geometry, 'Edges' ).properties[ 0 ].length, smoothingValues, normals: childNode( childNode( geometry, 'LayerElementNormal' ), 'Normals' ).properties[ 0 ].length / 3 };
+
+};
+
+const boxWeld = weldGeometry( 'WeldBox' ), ballWeld = weldGeometry( 'WeldBall' );
+console.log( `Box: ${boxWeld.points} control points, ${boxWeld.polygons} polygons, ${boxWeld.edges} edges, ${boxWeld.normals} corner normals; ball: ${ballWeld.points} control points, ${ballWeld.edges} edges` );
+if ( boxWeld.points !== 8 || boxWeld.polygons !== 6 || boxWeld.edges !== 12 || boxWeld.normals !== 24 || boxWeld.smoothingValues.some( v => v !== 0 ) ) {
+
+	console.error( 'FAIL: Welded box should be 8 control points, 6 quads and 12 hard edges with normals kept per corner' );
+	weldErrorCount ++;
+
+}
+
+// The UV seam and pole vertices of the sphere weld; its normals are continuous everywhere
+if ( ballWeld.points !== 16 * 11 + 2 || ballWeld.smoothingValues.some( v => v !== 1 ) ) {
+
+	console.error( `FAIL: Welded sphere has ${ballWeld.points} control points (expected ${16 * 11 + 2}) or hard edges` );
+	weldErrorCount ++;
+
+}
+
+const weldShape = weldNodes.find( node => node.name === 'Objects' ).children.find( node => node.name === 'Geometry' && node.properties[ 2 ] === 'Shape' );
+const shapeIndexes = Array.from( childNode( weldShape, 'Indexes' ).properties[ 0 ] );
+if ( shapeIndexes.length !== 4 || shapeIndexes.some( index => index >= 8 ) ) {
+
+	console.error( `FAIL: Blend shape indexes were not remapped to control points: ${shapeIndexes.join( ', ' )}` );
+	weldErrorCount ++;
+
+}
+
+const weldLoaded = new FBXLoader().parse( weldBuffer, '' );
+for ( const mesh of [ weldBox, weldBall ] ) {
+
+	const loaded = weldLoaded.getObjectByName( mesh.name );
+	const loadedArea = surfaceArea( loaded.geometry ), area = surfaceArea( mesh.geometry );
+	if ( Math.abs( loadedArea - area ) > 1e-3 * area || loaded.geometry.attributes.normal?.count !== loaded.geometry.attributes.position.count ) {
+
+		console.error( `FAIL: ${mesh.name} re-imported with area ${loadedArea.toFixed( 4 )} instead of ${area.toFixed( 4 )}` );
+		weldErrorCount ++;
+
+	}
+
+}
+
+validateFBX( weldBuffer ).issues.forEach( issue => {
+
+	console.error( `FAIL: [${issue.check}] ${issue.message}` );
+	weldErrorCount ++;
+
+} );
+
+// Skinned character: cluster Indexes refer to welded control points and the weights of each still add up to 1
+const weldedCharacter = await ( await new FBXExporter().parse( original, { weldVertices: true, scale: 1, exportMaterials: false, embedImages: false, animations: clips } ) ).arrayBuffer();
+const characterNodes = readFBX( weldedCharacter ).nodes;
+const characterObjects = characterNodes.find( node => node.name === 'Objects' ).children;
+const characterParents = new Map( characterNodes.find( node => node.name === 'Connections' ).children.map( node => [ node.properties[ 1 ], node.properties[ 2 ] ] ) );
+const characterGeometries = characterObjects.filter( node => node.name === 'Geometry' && node.properties[ 2 ] === 'Mesh' );
+const characterPoints = characterGeometries.reduce( ( sum, geometry ) => sum + childNode( geometry, 'Vertices' ).properties[ 0 ].length / 3, 0 );
+let characterVertices = 0;
+original.traverse( obj => { if ( obj.isSkinnedMesh ) characterVertices += obj.geometry.attributes.position.count; } );
+const weightSums = new Map();
+characterObjects.filter( node => node.properties[ 2 ] === 'Cluster' ).forEach( cluster => {
+
+	const indexes = childNode( cluster, 'Indexes' ).properties[ 0 ], weights = childNode( cluster, 'Weights' ).properties[ 0 ];
+	const skin = characterParents.get( cluster.properties[ 0 ] );
+	indexes.forEach( ( index, k ) => weightSums.set( `${skin}:${index}`, ( weightSums.get( `${skin}:${index}` ) || 0 ) + weights[ k ] ) );
+
+} );
+const badSums = [ ...weightSums.values() ].filter( sum => Math.abs( sum - 1 ) > 1e-3 ).length;
+const weldedScene = new FBXLoader().parse( weldedCharacter, '' );
+weldedScene.updateMatrixWorld( true );
+const weldedBones = collectBones( weldedScene );
+let weldedMaxDiff = 0;
+for ( const [ name, bone ] of originalBoneMap ) if ( weldedBones.has( name ) ) weldedMaxDiff = Math.max( weldedMaxDiff, compareMatrices( bone.matrixWorld, weldedBones.get( name ).matrixWorld ) );
+console.log( `Character: ${characterPoints} control points from ${characterVertices} vertices, ${badSums} control points with weights not adding up to 1, max bone error ${weldedMaxDiff.toFixed( 6 )}` );
+if ( characterPoints > characterVertices || badSums > 0 || weldedBones.size !== originalBoneMap.size || weldedMaxDiff > TOLERANCE ) {
+
+	console.error( 'FAIL: Welded character does not keep its skin' );
+	weldErrorCount ++;
+
+}
+
+validateFBX( weldedCharacter ).issues.forEach( issue => {
+
+	console.error( `FAIL: [${issue.check}] ${issue.message}` );
+	weldErrorCount ++;
+
+} );
+
+// Points closer than the tolerance weld even across grid boundaries (0.005 for rounding, 0.01 for cells), while a skin weight
+// differing by less than the tolerance keeps its vertex apart; a glTF-style interleaved box welds like a plain one
+const seamPositions = [ 0.0049, 0, 0, 1, 0, 0, 0.0099, 1, 0, 0.0051, 0, 0, 0.0101, 1, 0, - 1, 0, 0 ];
+const seam = new THREE.Mesh( new THREE.BufferGeometry().setAttribute( 'position', new THREE.Float32BufferAttribute( seamPositions, 3 ) ), new THREE.MeshLambertMaterial() );
+seam.name = 'Seam';
+const weightSeam = new THREE.Mesh( new THREE.BufferGeometry().setAttribute( 'position', new THREE.Float32BufferAttribute( [ 0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0 ], 3 ) ), new THREE.MeshLambertMaterial() );
+weightSeam.name = 'WeightSeam';
+weightSeam.geometry.setAttribute( 'skinIndex', new THREE.Uint16BufferAttribute( new Array( 24 ).fill( 0 ).map( ( _, i ) => i % 4 ), 4 ) );
+weightSeam.geometry.setAttribute( 'skinWeight', new THREE.Float32BufferAttribute( [ 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0.995, 0.005, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0 ], 4 ) );
+const stridedBox = new THREE.Mesh( interleave( new THREE.BoxGeometry( 2, 2, 2 ) ), new THREE.MeshLambertMaterial() );
+stridedBox.name = 'StridedBox';
+const toleranceScene = new THREE.Group().add( seam, weightSeam, stridedBox );
+toleranceScene.updateMatrixWorld( true );
+const toleranceNodes = readFBX( await ( await new FBXExporter().parse( toleranceScene, { weldVertices: 0.01, polygons: 'quads', scale: 1, embedImages: false } ) ).arrayBuffer() ).nodes;
+const controlPointCount = name => childNode( polygonSizes( toleranceNodes, name ).geometry, 'Vertices' ).properties[ 0 ].length / 3;
+const toleranceCounts = [ 'Seam', 'WeightSeam', 'StridedBox' ].map( controlPointCount );
+console.log( `Tolerance 0.01: seam ${toleranceCounts[ 0 ]}, weight seam ${toleranceCounts[ 1 ]}, interleaved box ${toleranceCounts[ 2 ]} control points` );
+if ( toleranceCounts[ 0 ] !== 4 || toleranceCounts[ 1 ] !== 5 || toleranceCounts[ 2 ] !== 8 ) {
+
+	console.error( 'FAIL: Expected 4 seam, 5 weight seam and 8 interleaved box control points' );
+	weldErrorCount ++;
+
+}
+
+const invalidWeld = await new FBXExporter().parse( original, { weldVertices: - 1 } ).then( () => null, error => error.message );
+if ( ! /Invalid weldVertices/.test( invalidWeld ) ) {
+
+	console.error( 'FAIL: A negative weld tolerance was not rejected' );
+	weldErrorCount ++;
+
+}
+
+console.log( `Weld failures: ${weldErrorCount}` );
+
 // ===== FINAL RESULT =====
-const totalFail = errorCount + worldErrorCount + animErrorCount;
+const totalFail = errorCount + worldErrorCount + animErrorCount + asciiErrorCount + compressErrorCount + materialErrorCount + attributeErrorCount + pbrErrorCount + textureErrorCount + externalErrorCount + morphErrorCount + cameraLightErrorCount + objectAnimErrorCount + interpolationErrorCount + reductionErrorCount + axisErrorCount + instanceErrorCount + largeMeshErrorCount + workerErrorCount + versionErrorCount + validatorErrorCount + skeletonErrorCount + idErrorCount + userPropertyErrorCount + pluginErrorCount + polygonErrorCount + weldErrorCount;
 console.log( '\n=== FINAL RESULT ===' );
 
 if ( totalFail === 0 ) {
 
-	console.log( 'PASS: Bind pose and animation roundtrip match within tolerance' );
+	console.log( 'PASS: All roundtrip checks match within tolerance' );
 	process.exit( 0 );
 
 } else {